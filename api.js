@@ -0,0 +1,283 @@
+// Client for the claude.ai API, shared by the content script and the extension pages
+// Every request goes through claudeFetch, which retries rate limits and server errors
+// and limits how many requests run at once
+
+const CLAUDE_API_BASE = 'https://claude.ai/api';
+const API_MAX_RETRIES = 5;
+const API_BASE_RETRY_DELAY = 1000; // First backoff step in ms, doubled on every retry
+const API_MAX_RETRY_DELAY = 60000;
+const API_LIST_PAGE_SIZE = 200;
+
+// Error from the claude.ai API with a kind callers can act on:
+// auth (session expired), forbidden (wrong organization), not_found, rate_limited, server, http, network, aborted
+class ClaudeApiError extends Error {
+  constructor(kind, message, status = null) {
+    super(message);
+    this.name = 'ClaudeApiError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+// Shared request budget: halved on every 429, raised by one after a run of successes
+// Retry-After pauses every request, not only the one that was rate limited
+const apiConcurrency = {
+  limit: 3,
+  min: 1,
+  max: 6,
+  active: 0,
+  successes: 0,
+  pausedUntil: 0,
+  waiting: []
+};
+
+// Wait for a number of milliseconds, stopping early if the signal aborts
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ClaudeApiError('aborted', 'Request cancelled'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ClaudeApiError('aborted', 'Request cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Hand free request slots to waiting callers
+function drainApiQueue() {
+  while (apiConcurrency.waiting.length > 0 && apiConcurrency.active < apiConcurrency.limit) {
+    apiConcurrency.active++;
+    apiConcurrency.waiting.shift().resolve();
+  }
+}
+
+// Take a request slot, waiting for one if the budget is used up or requests are paused
+async function acquireApiSlot(signal) {
+  if (apiConcurrency.active < apiConcurrency.limit && apiConcurrency.waiting.length === 0) {
+    apiConcurrency.active++;
+  } else {
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        apiConcurrency.waiting.splice(apiConcurrency.waiting.indexOf(waiter), 1);
+        reject(new ClaudeApiError('aborted', 'Request cancelled'));
+      };
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      if (signal?.aborted) {
+        reject(new ClaudeApiError('aborted', 'Request cancelled'));
+        return;
+      }
+      apiConcurrency.waiting.push(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  const pause = apiConcurrency.pausedUntil - Date.now();
+  if (pause > 0) {
+    try {
+      await waitFor(pause, signal);
+    } catch (error) {
+      releaseApiSlot();
+      throw error;
+    }
+  }
+}
+
+// Give a request slot back
+function releaseApiSlot() {
+  apiConcurrency.active--;
+  drainApiQueue();
+}
+
+// Adjust the request budget after a response
+function recordApiOutcome(rateLimited, retryDelay = 0) {
+  if (rateLimited) {
+    apiConcurrency.limit = Math.max(apiConcurrency.min, Math.floor(apiConcurrency.limit / 2));
+    apiConcurrency.successes = 0;
+    apiConcurrency.pausedUntil = Math.max(apiConcurrency.pausedUntil, Date.now() + retryDelay);
+    return;
+  }
+  
+  apiConcurrency.successes++;
+  if (apiConcurrency.successes >= apiConcurrency.limit * 5 && apiConcurrency.limit < apiConcurrency.max) {
+    apiConcurrency.limit++;
+    apiConcurrency.successes = 0;
+    drainApiQueue();
+  }
+}
+
+// How long to wait before retrying: Retry-After when the server sends it,
+// otherwise exponential backoff with jitter
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? new Date(retryAfter) - Date.now() : seconds * 1000;
+    if (ms >= 0) {
+      return Math.min(ms, API_MAX_RETRY_DELAY);
+    }
+  }
+  const backoff = API_BASE_RETRY_DELAY * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff / 2, API_MAX_RETRY_DELAY);
+}
+
+// Turn a failed response into a ClaudeApiError with a message the user can act on
+function getApiError(response, retries) {
+  switch (response.status) {
+    case 401:
+      return new ClaudeApiError('auth', 'Your Claude.ai session has expired. Log in to Claude.ai and try again.', 401);
+    case 403:
+      return new ClaudeApiError('forbidden', 'Access denied. This probably belongs to a different organization; check the selected organization.', 403);
+    case 404:
+      return new ClaudeApiError('not_found', 'Not found. The conversation may have been deleted.', 404);
+    case 429:
+      return new ClaudeApiError('rate_limited', `Rate limited by Claude.ai (gave up after ${retries} retries)`, 429);
+    default:
+      return response.status >= 500
+        ? new ClaudeApiError('server', `Claude.ai server error ${response.status} (gave up after ${retries} retries)`, response.status)
+        : new ClaudeApiError('http', `Request failed with status ${response.status}`, response.status);
+  }
+}
+
+// Fetch a claude.ai URL with the user's session, retrying 429s, 5xx responses and network errors
+// Resolves with the successful Response; rejects with a ClaudeApiError
+async function claudeFetch(url, { signal, retries = API_MAX_RETRIES, accept = 'application/json' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireApiSlot(signal);
+    
+    let response;
+    let networkError = null;
+    try {
+      response = await fetch(url, {
+        credentials: 'include',
+        headers: {
+          'Accept': accept,
+        },
+        signal
+      });
+    } catch (error) {
+      networkError = error;
+    } finally {
+      releaseApiSlot();
+    }
+    
+    if (networkError) {
+      if (signal?.aborted) {
+        throw new ClaudeApiError('aborted', 'Request cancelled');
+      }
+      if (attempt >= retries) {
+        throw new ClaudeApiError('network', `Could not reach Claude.ai: ${networkError.message}`);
+      }
+      await waitFor(getRetryDelay(null, attempt), signal);
+      continue;
+    }
+    
+    const retryable = response.status === 429 || response.status >= 500;
+    if (response.ok || !retryable) {
+      recordApiOutcome(false);
+    }
+    if (response.ok) {
+      return response;
+    }
+    if (!retryable || attempt >= retries) {
+      throw getApiError(response, retries);
+    }
+    
+    const delay = getRetryDelay(response, attempt);
+    console.warn(`Claude.ai returned ${response.status}, retrying in ${Math.round(delay / 1000)}s`);
+    if (response.status === 429) {
+      recordApiOutcome(true, delay);
+    }
+    await waitFor(delay, signal);
+  }
+}
+
+// Request a claude.ai API path and parse the JSON response
+async function apiRequest(path, options = {}) {
+  const response = await claudeFetch(`${CLAUDE_API_BASE}${path}`, options);
+  return response.json();
+}
+
+// Fetch a conversation with its whole message tree and tool calls
+async function fetchConversation(orgId, conversationId, options = {}) {
+  return apiRequest(`/organizations/${orgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true`, options);
+}
+
+// List every conversation of an organization, page by page
+// Stops when a page comes back short, or when the server ignores paging and repeats itself
+async function listConversations(orgId, { signal, onPage = () => {} } = {}) {
+  const conversations = [];
+  const seen = new Set();
+  
+  for (let offset = 0; ; offset += API_LIST_PAGE_SIZE) {
+    const page = await apiRequest(`/organizations/${orgId}/chat_conversations?limit=${API_LIST_PAGE_SIZE}&offset=${offset}`, { signal });
+    const fresh = page.filter(conv => !seen.has(conv.uuid));
+    fresh.forEach(conv => {
+      seen.add(conv.uuid);
+      conversations.push(conv);
+    });
+    onPage(conversations.length);
+    
+    if (page.length < API_LIST_PAGE_SIZE || fresh.length === 0) {
+      return conversations;
+    }
+  }
+}
+
+// List the projects of an organization
+async function listProjects(orgId, options = {}) {
+  return apiRequest(`/organizations/${orgId}/projects`, options);
+}
+
+// Fetch a project with its description and custom instructions (prompt_template)
+async function fetchProject(orgId, projectId, options = {}) {
+  return apiRequest(`/organizations/${orgId}/projects/${projectId}`, options);
+}
+
+// List the knowledge documents of a project, with their text content
+async function listProjectDocs(orgId, projectId, options = {}) {
+  return apiRequest(`/organizations/${orgId}/projects/${projectId}/docs`, options);
+}
+
+// Ask claude.ai which organizations the signed-in user belongs to
+// Organizations without chat (API console only) are left out, since they have no conversations
+async function fetchOrganizations(options = {}) {
+  let organizations;
+  try {
+    organizations = await apiRequest('/organizations', options);
+  } catch (error) {
+    // Without a session the organization list itself is forbidden
+    if (error.kind === 'forbidden') {
+      throw new ClaudeApiError('auth', 'Not signed in to Claude.ai. Log in and try again.', error.status);
+    }
+    throw error;
+  }
+  
+  return organizations
+    .filter(org => !Array.isArray(org.capabilities) || org.capabilities.includes('chat'))
+    .map(org => ({ uuid: org.uuid, name: org.name || org.uuid }));
+}
+
+// Run an async worker over items with several in flight at once
+// Actual request parallelism is governed by the shared budget in claudeFetch; workers handle their own errors
+async function forEachConcurrent(items, worker, { signal, concurrency = apiConcurrency.max } = {}) {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+}
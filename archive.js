@@ -0,0 +1,409 @@
+// Local archive of full conversation payloads, kept in IndexedDB
+// Lives in the extension's origin, so every extension page shares the same archive
+// Relies on utils.js for getMessageText, estimateBranchTokens and escapeHtml
+
+const ARCHIVE_DB_NAME = 'claude-exporter-archive';
+const ARCHIVE_DB_VERSION = 4;
+const ARCHIVE_SNAPSHOT_LIMIT = 10; // Earlier versions kept per conversation
+
+let archiveDbPromise = null;
+
+// Wrap an IndexedDB request in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Open the archive database, creating or upgrading its stores as needed
+// Summaries (for listing) and payloads (full conversation data) are stored separately,
+// so listing thousands of conversations doesn't load every message
+function openArchive() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const conversations = db.createObjectStore('conversations', { keyPath: 'uuid' });
+          conversations.createIndex('org_uuid', 'org_uuid');
+          db.createObjectStore('payloads', { keyPath: 'uuid' });
+        }
+        if (event.oldVersion < 2) {
+          // Full-text search: one posting per (term, conversation) and the searchable text of each message
+          const postings = db.createObjectStore('search_postings', { keyPath: ['term', 'conversation_uuid'] });
+          postings.createIndex('conversation_uuid', 'conversation_uuid');
+          db.createObjectStore('search_docs', { keyPath: 'uuid' });
+        }
+        if (event.oldVersion < 3) {
+          // Bulk export jobs and a checkpoint per conversation (see jobs.js)
+          db.createObjectStore('export_jobs', { keyPath: 'id' });
+          const items = db.createObjectStore('export_job_items', { keyPath: ['job_id', 'uuid'] });
+          items.createIndex('job_id', 'job_id');
+        }
+        if (event.oldVersion < 4) {
+          // Earlier versions of a conversation, saved when it is archived again after changing
+          const snapshots = db.createObjectStore('snapshots', { keyPath: ['uuid', 'updated_at'] });
+          snapshots.createIndex('uuid', 'uuid');
+        }
+      };
+      
+      request.onsuccess = () => {
+        // Let a newer version of the extension (open in another page) upgrade the database
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          archiveDbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        archiveDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+// Summary fields kept for listing, searching and filtering without loading the payload
+function getArchiveSummary(orgId, data) {
+  return {
+    uuid: data.uuid,
+    org_uuid: orgId,
+    name: data.name || '',
+    summary: data.summary || '',
+    model: data.model,
+    created_at: data.created_at,
+    updated_at: data.updated_at,
+    project_uuid: data.project_uuid || null,
+    is_starred: !!data.is_starred,
+    message_count: (data.chat_messages || []).length,
+    token_estimate: estimateBranchTokens(data),
+    archived_at: new Date().toISOString(),
+    deleted: false
+  };
+}
+
+// Save a full conversation payload (as returned by the conversation API) to the archive
+// The payload it replaces is kept as a snapshot when the conversation changed in between
+// The search index is updated in the same transaction
+async function archiveConversation(orgId, data) {
+  const db = await openArchive();
+  const transaction = db.transaction(['conversations', 'payloads', 'snapshots', 'search_postings', 'search_docs'], 'readwrite');
+  const payloads = transaction.objectStore('payloads');
+  const previous = await requestToPromise(payloads.get(data.uuid));
+  if (previous && previous.data.updated_at !== data.updated_at) {
+    await keepArchiveSnapshot(transaction, previous.data);
+  }
+  transaction.objectStore('conversations').put({ ...getArchiveSummary(orgId, data), indexed: true });
+  payloads.put({ uuid: data.uuid, data });
+  await writeSearchIndex(transaction, orgId, data);
+  await transactionDone(transaction);
+}
+
+// Store an earlier version of a conversation inside an open transaction, dropping the oldest beyond the limit
+async function keepArchiveSnapshot(transaction, data) {
+  const snapshots = transaction.objectStore('snapshots');
+  snapshots.put({ uuid: data.uuid, updated_at: data.updated_at || data.created_at || '', replaced_at: new Date().toISOString(), data });
+  
+  // Keys are [uuid, updated_at], so they come back oldest first
+  const keys = await requestToPromise(snapshots.index('uuid').getAllKeys(data.uuid));
+  keys.slice(0, Math.max(0, keys.length - ARCHIVE_SNAPSHOT_LIMIT)).forEach(key => snapshots.delete(key));
+}
+
+// Earlier archived versions of a conversation, oldest first: { uuid, updated_at, replaced_at, data }
+async function listConversationSnapshots(uuid) {
+  const db = await openArchive();
+  return requestToPromise(db.transaction('snapshots').objectStore('snapshots').index('uuid').getAll(uuid));
+}
+
+// Get the archived summary of a conversation, or undefined if it was never archived
+async function getArchivedSummary(uuid) {
+  const db = await openArchive();
+  return requestToPromise(db.transaction('conversations').objectStore('conversations').get(uuid));
+}
+
+// Get the full archived payload of a conversation, or undefined if it was never archived
+async function getArchivedConversation(uuid) {
+  const db = await openArchive();
+  const record = await requestToPromise(db.transaction('payloads').objectStore('payloads').get(uuid));
+  return record ? record.data : undefined;
+}
+
+// List archived conversation summaries, for one organization or all of them
+async function listArchivedConversations(orgId = null) {
+  const db = await openArchive();
+  const store = db.transaction('conversations').objectStore('conversations');
+  if (orgId) {
+    return requestToPromise(store.index('org_uuid').getAll(orgId));
+  }
+  return requestToPromise(store.getAll());
+}
+
+// Flag archived conversations of an organization that no longer exist on claude.ai
+// Returns the number of conversations newly marked as deleted
+async function markDeletedConversations(orgId, currentUuids) {
+  const current = new Set(currentUuids);
+  const summaries = await listArchivedConversations(orgId);
+  const newlyDeleted = summaries.filter(summary => !current.has(summary.uuid) && !summary.deleted);
+  if (newlyDeleted.length === 0) {
+    return 0;
+  }
+  
+  const db = await openArchive();
+  const transaction = db.transaction('conversations', 'readwrite');
+  const store = transaction.objectStore('conversations');
+  newlyDeleted.forEach(summary => {
+    store.put({ ...summary, deleted: true, deleted_detected_at: new Date().toISOString() });
+  });
+  await transactionDone(transaction);
+  return newlyDeleted.length;
+}
+
+// Full-text search
+
+// Split text into lowercase search terms, ignoring accents and punctuation
+function tokenizeSearchText(text) {
+  const normalized = (text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  return (normalized.match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length <= 50);
+}
+
+// Parse a search query into bare terms, "quoted phrases" and a from:human / from:assistant filter,
+// or -from:human / -from:assistant to leave that side out
+function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], sender: null, excludeSender: null };
+  const pattern = /(-?)from:(\S+)|"([^"]*)"?|(\S+)/gi;
+  let match;
+  
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[2] !== undefined) {
+      const sender = match[2].toLowerCase();
+      const key = match[1] ? 'excludeSender' : 'sender';
+      if (['human', 'user', 'me'].includes(sender)) {
+        parsed[key] = 'human';
+      } else if (['assistant', 'claude', 'ai'].includes(sender)) {
+        parsed[key] = 'assistant';
+      }
+    } else if (match[3] !== undefined) {
+      const tokens = tokenizeSearchText(match[3]);
+      if (tokens.length === 1) {
+        parsed.terms.push(tokens[0]);
+      } else if (tokens.length > 1) {
+        parsed.phrases.push(tokens);
+      }
+    } else {
+      parsed.terms.push(...tokenizeSearchText(match[4]));
+    }
+  }
+  
+  return parsed;
+}
+
+// Replace a conversation's postings and searchable text inside an open transaction
+async function writeSearchIndex(transaction, orgId, data) {
+  const postings = transaction.objectStore('search_postings');
+  const oldKeys = await requestToPromise(postings.index('conversation_uuid').getAllKeys(data.uuid));
+  oldKeys.forEach(key => postings.delete(key));
+  
+  const termMessages = new Map();
+  const messages = (data.chat_messages || []).map(message => {
+    const text = getMessageText(message);
+    new Set(tokenizeSearchText(text)).forEach(term => {
+      if (!termMessages.has(term)) {
+        termMessages.set(term, []);
+      }
+      termMessages.get(term).push(message.uuid);
+    });
+    return { uuid: message.uuid, sender: message.sender, text };
+  });
+  
+  termMessages.forEach((messageUuids, term) => {
+    postings.put({ term, conversation_uuid: data.uuid, messages: messageUuids });
+  });
+  transaction.objectStore('search_docs').put({ uuid: data.uuid, org_uuid: orgId, name: data.name || '', messages });
+}
+
+// Index archived conversations that were saved before the search index existed
+// Returns the number of conversations indexed
+async function updateSearchIndex(orgId = null, onProgress = () => {}) {
+  const pending = (await listArchivedConversations(orgId)).filter(summary => !summary.indexed);
+  const db = await openArchive();
+  
+  for (let i = 0; i < pending.length; i++) {
+    onProgress(i, pending.length);
+    const data = await getArchivedConversation(pending[i].uuid);
+    const transaction = db.transaction(['conversations', 'search_postings', 'search_docs'], 'readwrite');
+    if (data) {
+      await writeSearchIndex(transaction, pending[i].org_uuid, data);
+    }
+    transaction.objectStore('conversations').put({ ...pending[i], indexed: true });
+    await transactionDone(transaction);
+  }
+  
+  return pending.length;
+}
+
+// Add token estimates to archived summaries saved before they were estimated
+// Returns the number of conversations updated
+async function updateTokenEstimates(orgId = null) {
+  const pending = (await listArchivedConversations(orgId)).filter(summary => !summary.token_estimate);
+  const db = await openArchive();
+  let updated = 0;
+  
+  for (const summary of pending) {
+    const data = await getArchivedConversation(summary.uuid);
+    if (!data) continue;
+    const transaction = db.transaction('conversations', 'readwrite');
+    transaction.objectStore('conversations').put({ ...summary, token_estimate: estimateBranchTokens(data) });
+    await transactionDone(transaction);
+    updated++;
+  }
+  
+  return updated;
+}
+
+// Look up the postings for a term: exact match for short terms, prefix match otherwise
+// Returns a map of conversation uuid -> set of message uuids
+async function getTermPostings(store, term, prefix) {
+  const range = prefix && term.length >= 3
+    ? IDBKeyRange.bound([term], [term + '\uffff'])
+    : IDBKeyRange.bound([term], [term, []]);
+  const matches = new Map();
+  (await requestToPromise(store.getAll(range))).forEach(posting => {
+    if (!matches.has(posting.conversation_uuid)) {
+      matches.set(posting.conversation_uuid, new Set());
+    }
+    posting.messages.forEach(uuid => matches.get(posting.conversation_uuid).add(uuid));
+  });
+  return matches;
+}
+
+// Which query clauses (terms, then phrases) a message's text satisfies
+function matchSearchClauses(text, parsed) {
+  const tokens = tokenizeSearchText(text);
+  const joined = ` ${tokens.join(' ')} `;
+  const termHits = parsed.terms.map(term =>
+    tokens.some(token => term.length >= 3 ? token.startsWith(term) : token === term));
+  const phraseHits = parsed.phrases.map(phrase => joined.includes(` ${phrase.join(' ')} `));
+  return [...termHits, ...phraseHits];
+}
+
+// Search archived conversations
+// Every term and phrase must occur in the conversation; a phrase must occur within one message
+// Returns [{ uuid, name, score, hits: [{ message_uuid, sender, snippet }] }], best matches first
+async function searchArchive(query, orgId = null, maxHits = 3) {
+  const parsed = parseSearchQuery(query);
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    return [];
+  }
+  
+  const db = await openArchive();
+  const transaction = db.transaction(['search_postings', 'search_docs']);
+  const postings = transaction.objectStore('search_postings');
+  
+  // Narrow down to conversations containing every clause, and the messages worth checking
+  let candidates = null;
+  const clauses = [
+    ...parsed.terms.map(term => [[term, true]]),
+    ...parsed.phrases.map(phrase => phrase.map(token => [token, false]))
+  ];
+  for (const clause of clauses) {
+    for (const [term, prefix] of clause) {
+      const matches = await getTermPostings(postings, term, prefix);
+      if (candidates === null) {
+        candidates = matches;
+      } else {
+        candidates.forEach((messageUuids, uuid) => {
+          if (!matches.has(uuid)) {
+            candidates.delete(uuid);
+          } else {
+            matches.get(uuid).forEach(messageUuid => messageUuids.add(messageUuid));
+          }
+        });
+      }
+      if (candidates.size === 0) {
+        return [];
+      }
+    }
+  }
+  
+  // Verify phrases and the sender filter against the stored message text
+  const results = [];
+  const docs = transaction.objectStore('search_docs');
+  for (const [uuid, messageUuids] of candidates) {
+    const doc = await requestToPromise(docs.get(uuid));
+    if (!doc || (orgId && doc.org_uuid !== orgId)) continue;
+    
+    const satisfied = new Array(clauses.length).fill(false);
+    const hits = [];
+    doc.messages.forEach(message => {
+      if (!messageUuids.has(message.uuid)) return;
+      if (parsed.sender && message.sender !== parsed.sender) return;
+      if (parsed.excludeSender && message.sender === parsed.excludeSender) return;
+      const matched = matchSearchClauses(message.text, parsed);
+      matched.forEach((hit, i) => { satisfied[i] = satisfied[i] || hit; });
+      const score = matched.filter(Boolean).length;
+      if (score > 0) {
+        hits.push({ message, score });
+      }
+    });
+    
+    if (satisfied.every(Boolean)) {
+      hits.sort((a, b) => b.score - a.score);
+      results.push({
+        uuid,
+        name: doc.name,
+        score: hits.reduce((sum, hit) => sum + hit.score, 0),
+        hits: hits.slice(0, maxHits).map(hit => ({
+          message_uuid: hit.message.uuid,
+          sender: hit.message.sender,
+          snippet: buildSearchSnippet(hit.message.text, parsed)
+        }))
+      });
+    }
+  }
+  
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// Regular expression matching any term or phrase of a parsed query in NFKD-normalized text
+// Accents are separate combining marks there, so they are allowed after every letter
+function getSearchHighlightPattern(parsed) {
+  const word = (term) => [...term].map(char => `${char}\\p{M}*`).join('');
+  const separator = '[^\\p{L}\\p{N}\\p{M}]+';
+  const alternatives = [
+    ...parsed.phrases.map(phrase => phrase.map(word).join(separator)),
+    ...parsed.terms.map(term => term.length >= 3 ? `${word(term)}[\\p{L}\\p{N}\\p{M}]*` : word(term))
+  ].map(source => `(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`);
+  return alternatives.length ? new RegExp(alternatives.join('|'), 'giu') : null;
+}
+
+// Short HTML excerpt around the first match, with every match wrapped in <mark>
+function buildSearchSnippet(originalText, parsed, radius = 80) {
+  const text = originalText.normalize('NFKD');
+  const pattern = getSearchHighlightPattern(parsed);
+  const firstMatch = pattern ? pattern.exec(text) : null;
+  const center = firstMatch ? firstMatch.index : 0;
+  const start = Math.max(0, center - radius);
+  const end = Math.min(text.length, center + radius * 2);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+  
+  const highlighted = pattern
+    ? excerpt.split(new RegExp(`(${pattern.source})`, 'giu'))
+      .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+      .join('')
+    : escapeHtml(excerpt);
+  return ((start > 0 ? '…' : '') + highlighted + (end < text.length ? '…' : '')).normalize('NFC');
+}
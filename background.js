@@ -1,3 +1,8 @@
+// Local conversation archive (IndexedDB), shared with the extension pages
+// utils.js provides the message text helpers the search index needs, and the download folder cleanup
+// jobs.js looks up the export jobs the offscreen document runs
+importScripts('utils.js', 'archive.js', 'jobs.js');
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Claude Conversation Exporter installed');
@@ -9,7 +14,7 @@ chrome.runtime.onInstalled.addListener(() => {
     tabs.forEach(tab => {
       chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content.js']
+        files: ['jszip.min.js', 'api.js', 'utils.js', 'content.js']
       }).catch(err => console.log('Could not inject into tab', tab.id, err));
     });
   });
@@ -22,7 +27,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (tabs[0]) {
         chrome.scripting.executeScript({
           target: { tabId: tabs[0].id },
-          files: ['content.js']
+          files: ['jszip.min.js', 'api.js', 'utils.js', 'content.js']
         }, () => {
           sendResponse({ success: true });
         });
@@ -30,4 +35,438 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true;
   }
-});
\ No newline at end of file
+  
+  // Save conversations fetched by the content script to the local archive
+  if (request.action === 'archiveConversation') {
+    archiveConversation(request.orgId, request.data)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Bulk exports from the popup (request) or the browse page (jobId) run here, not in a tab
+  if (request.action === 'queueExport') {
+    queueExport({ jobId: request.jobId || null, request: request.request || null })
+      .then(queued => sendResponse({ success: true, queued }));
+    return true;
+  }
+  
+  if (request.action === 'cancelExport') {
+    cancelExport(request.jobId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (request.action === 'runBackupNow') {
+    startBackup();
+    sendResponse({ success: true });
+    return;
+  }
+  
+  // jobIds lists the jobs that are running or queued, which pages must not discard
+  if (request.action === 'getExportStatus') {
+    exportStateReady.then(() => sendResponse({
+      active: activeExport,
+      queued: exportQueue.length,
+      jobIds: [activeExport?.jobId, ...exportQueue.map(entry => entry.jobId)].filter(Boolean)
+    }));
+    return true;
+  }
+  
+  // The offscreen document built a ZIP; save it where the user wants their exports
+  if (request.action === 'saveExport') {
+    saveExport(request.url, request.fileName, request.folder, request.backup, request.fullBackup)
+      .then(fileName => sendResponse({ success: true, fileName }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // The offscreen document can't write chrome.storage, so the manifest of a finished export is saved here
+  if (request.action === 'saveSyncManifest') {
+    saveSyncManifest(request.orgId, request.manifest, request.scope)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'exportProgress') {
+    exportStateReady.then(() => {
+      // Jobs the offscreen document creates for the popup only get their id here
+      const newJob = activeExport && !activeExport.jobId && request.jobId;
+      activeExport = { ...activeExport, ...request };
+      showExportProgress(request);
+      if (newJob) {
+        saveExportState();
+      }
+    });
+    return;
+  }
+  
+  if (request.action === 'exportFinished') {
+    finishExport(request);
+  }
+});
+
+// Bulk exports, one at a time
+// The offscreen document does the work, since the worker has no DOM and can't hand Blob URLs to chrome.downloads
+// Chrome stops an idle worker even while the offscreen document is still exporting, so the queue,
+// the running export and the downloads to release are kept in session storage and restored on the next start
+let exportQueue = [];
+let activeExport = null;
+let pendingDownloads = new Map(); // Download id -> Blob URL to release once it has been written
+let badgeTimer = null;
+const exportStateReady = restoreExportState()
+  .catch(error => console.warn('Could not restore the export queue:', error));
+
+// Keep the export state for a restarted worker
+function saveExportState() {
+  return chrome.storage.session.set({
+    exportState: { queue: exportQueue, active: activeExport, downloads: [...pendingDownloads] }
+  });
+}
+
+// Pick up the exports a stopped worker left behind
+// A running export lives on only while the offscreen document does; if that is gone, so is the export,
+// which stays resumable from its checkpoints, and so are the Blob URLs of its downloads
+async function restoreExportState() {
+  const { exportState } = await chrome.storage.session.get('exportState');
+  if (!exportState) return;
+  
+  exportQueue = exportState.queue;
+  activeExport = exportState.active;
+  pendingDownloads = new Map(exportState.downloads);
+  const offscreenOpen = await hasOffscreenDocument();
+  
+  if (activeExport && !offscreenOpen) {
+    const lost = { jobId: activeExport.jobId || null, backup: activeExport.backup, error: 'The export stopped unexpectedly. Resume it to continue.' };
+    chrome.runtime.sendMessage({ action: 'exportFinished', ...lost }).catch(() => {});
+    showExportResult(lost);
+    if (lost.backup) {
+      await recordBackupResult(lost);
+    }
+    activeExport = null;
+  }
+  
+  // Downloads that ended while the worker was stopped won't report it again
+  for (const [downloadId, url] of pendingDownloads) {
+    const [download] = await chrome.downloads.search({ id: downloadId });
+    if (offscreenOpen && download?.state === 'in_progress') continue;
+    pendingDownloads.delete(downloadId);
+    if (offscreenOpen) {
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'releaseExport', url }).catch(() => {});
+    }
+  }
+  
+  await saveExportState();
+  runNextExport();
+  closeOffscreenWhenIdle();
+}
+
+// Add an export to the queue and start it if nothing else is running
+// Resolves with the number of exports running or waiting, this one included
+async function queueExport(entry) {
+  await exportStateReady;
+  exportQueue.push(entry);
+  await saveExportState();
+  runNextExport();
+  return exportQueue.length + (activeExport ? 1 : 0);
+}
+
+// Drop a queued export, or pause the running one
+async function cancelExport(jobId) {
+  await exportStateReady;
+  const queued = exportQueue.findIndex(entry => entry.jobId === jobId);
+  if (queued !== -1) {
+    exportQueue.splice(queued, 1);
+    await saveExportState();
+    chrome.runtime.sendMessage({ action: 'exportFinished', jobId, cancelled: true }).catch(() => {});
+  } else {
+    chrome.runtime.sendMessage({ target: 'offscreen', action: 'cancelExport', jobId }).catch(() => {});
+  }
+}
+
+// Record how the running export ended and move on to the next one
+async function finishExport(result) {
+  await exportStateReady;
+  showExportResult(result);
+  if (result.backup) {
+    await recordBackupResult(result);
+  }
+  activeExport = null;
+  await saveExportState();
+  runNextExport();
+  closeOffscreenWhenIdle();
+}
+
+// Whether the offscreen document is open
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL('offscreen.html')]
+  });
+  return contexts.length > 0;
+}
+
+// Open the offscreen document unless it is already running
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['BLOBS'],
+    justification: 'Fetch conversations and build export ZIP files in the background'
+  });
+}
+
+// Close the offscreen document once nothing is exporting or downloading from it
+async function closeOffscreenWhenIdle() {
+  if (activeExport || exportQueue.length > 0 || pendingDownloads.size > 0) return;
+  try {
+    await chrome.offscreen.closeDocument();
+  } catch (error) {
+    // Already closed
+  }
+}
+
+// What the offscreen document needs from chrome.storage to run an export, which it can't read itself:
+// the job settings and the sync manifest the export continues from
+async function getExportRunSettings(entry) {
+  const job = entry.jobId ? await getExportJob(entry.jobId) : null;
+  const orgId = job ? job.org_uuid : entry.request.orgId;
+  const scope = job ? job.sync.manifest : entry.request.manifest || 'sync';
+  return { ...await getJobSettings(), manifest: await loadSyncManifest(orgId, scope) };
+}
+
+// Start the next queued export if none is running
+async function runNextExport() {
+  if (activeExport || exportQueue.length === 0) return;
+  
+  const entry = exportQueue.shift();
+  activeExport = {
+    jobId: entry.jobId,
+    label: entry.request?.label || entry.request?.orgName || 'Export',
+    backup: entry.request?.manifest === 'backup'
+  };
+  showExportProgress({ phase: 'start' });
+  
+  try {
+    await saveExportState();
+    const settings = await getExportRunSettings(entry);
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'runExport', entry, settings });
+  } catch (error) {
+    console.error('Could not start export:', error);
+    showExportResult({ error: error.message });
+    activeExport = null;
+    await saveExportState();
+    runNextExport();
+  }
+}
+
+// Subfolder of the Downloads folder for exports, from the options page
+async function getDownloadFolder() {
+  const result = await new Promise(resolve => chrome.storage.sync.get(['downloadFolder'], resolve));
+  return normalizeDownloadFolder(result.downloadFolder);
+}
+
+// Save a finished export; resolves with the path inside the Downloads folder
+// Jobs without their own folder go to the one set in the options
+// fullBackup marks a backup that holds every conversation, so older backup files can be deleted
+async function saveExport(url, fileName, folder = null, backup = false, fullBackup = false) {
+  const target = folder ?? await getDownloadFolder();
+  const path = target ? `${target}/${fileName}` : fileName;
+  const downloadId = await chrome.downloads.download({ url, filename: path, conflictAction: 'uniquify' });
+  await exportStateReady;
+  pendingDownloads.set(downloadId, url);
+  await saveExportState();
+  if (backup) {
+    await rememberBackupFile(downloadId, path, fullBackup);
+  }
+  return path;
+}
+
+// Release the ZIP once it is on disk
+chrome.downloads.onChanged.addListener(async (delta) => {
+  await exportStateReady;
+  if (!pendingDownloads.has(delta.id) || !delta.state || delta.state.current === 'in_progress') return;
+  
+  const url = pendingDownloads.get(delta.id);
+  pendingDownloads.delete(delta.id);
+  await saveExportState();
+  chrome.runtime.sendMessage({ target: 'offscreen', action: 'releaseExport', url })
+    .catch(() => {})
+    .finally(closeOffscreenWhenIdle);
+});
+
+// Show export progress on the toolbar icon
+function showExportProgress(progress) {
+  clearTimeout(badgeTimer);
+  let text = '…';
+  let title = `${activeExport?.label || 'Export'}: starting`;
+  if (progress.phase === 'fetch') {
+    const done = progress.completed + progress.failed;
+    text = `${Math.floor(done / Math.max(progress.total, 1) * 100)}%`;
+    title = `${progress.label}: ${done} of ${progress.total} conversations`;
+  } else if (progress.phase === 'zip') {
+    text = 'ZIP';
+    title = `${progress.label}: creating ZIP file (${progress.percent}%)`;
+  }
+  if (exportQueue.length > 0) {
+    title += ` (${exportQueue.length} more queued)`;
+  }
+  
+  chrome.action.setBadgeBackgroundColor({ color: '#5436DA' });
+  chrome.action.setBadgeText({ text });
+  chrome.action.setTitle({ title });
+}
+
+// Show how an export ended, then clear the badge after a while
+function showExportResult(result) {
+  clearTimeout(badgeTimer);
+  let text = '✓';
+  let color = '#28a745';
+  let title = result.message || 'Export finished';
+  if (result.error) {
+    text = '!';
+    color = '#dc3545';
+    title = `Export failed: ${result.error}`;
+  } else if (result.cancelled) {
+    text = '';
+    title = 'Export paused';
+  } else if (result.summary) {
+    title = `Exported ${result.summary.successful_exports} of ${result.summary.total_conversations} conversations to ${result.fileName}${describeExportWarnings(result.summary)}`;
+  }
+  
+  chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setBadgeText({ text });
+  chrome.action.setTitle({ title });
+  badgeTimer = setTimeout(() => {
+    if (activeExport) return;
+    chrome.action.setBadgeText({ text: '' });
+    chrome.action.setTitle({ title: 'Claude Conversation Exporter' });
+  }, result.error ? 60000 : 10000);
+}
+
+// Scheduled backups: an alarm queues an export of the active organization into claude-backups/YYYY-MM-DD.zip
+// Backups are incremental, so a conversation that hasn't changed is only in the full backup that started the chain;
+// a new full backup is made before the number of files to keep would delete that one
+const BACKUP_ALARM = 'scheduledBackup';
+const BACKUP_FOLDER = 'claude-backups';
+const BACKUP_PERIODS = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+}; // In minutes
+
+// Create, change or remove the backup alarm to match the settings
+// An alarm that already has the right period is kept, so restarting the browser doesn't postpone backups
+async function scheduleBackups() {
+  const settings = await getBackupSettings();
+  const alarm = await chrome.alarms.get(BACKUP_ALARM);
+  if (!settings.enabled) {
+    if (alarm) {
+      await chrome.alarms.clear(BACKUP_ALARM);
+    }
+    return;
+  }
+  
+  const period = BACKUP_PERIODS[settings.frequency] || BACKUP_PERIODS.daily;
+  if (alarm && alarm.periodInMinutes === period) return;
+  
+  // The first backup runs shortly after the schedule is saved
+  await chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: period });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleBackups);
+chrome.runtime.onStartup.addListener(scheduleBackups);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.backupSettings) {
+    scheduleBackups();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BACKUP_ALARM) {
+    startBackup();
+  }
+});
+
+// Queue a backup of the active organization with the saved format and filters
+async function startBackup() {
+  const settings = await getBackupSettings();
+  const { organizationId } = await new Promise(resolve => chrome.storage.sync.get(['organizationId'], resolve));
+  if (!organizationId) {
+    await recordBackupResult({ error: 'Organization ID not configured' });
+    return;
+  }
+  
+  // Full when keeping one more file would mean deleting the newest full backup
+  const { backupFiles = [] } = await new Promise(resolve => chrome.storage.local.get(['backupFiles'], resolve));
+  const lastFull = backupFiles.findLastIndex(file => file.full);
+  const full = lastFull === -1 || backupFiles.length + 1 - Math.max(1, settings.keep) > lastFull;
+  
+  await saveLastBackup({ status: 'running', started_at: new Date().toISOString() });
+  await queueExport({
+    jobId: null,
+    request: {
+      orgId: organizationId,
+      label: full ? 'Full backup' : 'Scheduled backup',
+      sinceLastSync: !full,
+      manifest: 'backup',
+      format: settings.format,
+      includeMetadata: settings.includeMetadata,
+      options: settings.options,
+      filters: { model: settings.model, starredOnly: settings.starredOnly },
+      fileName: `${new Date().toISOString().split('T')[0]}.zip`,
+      folder: BACKUP_FOLDER
+    }
+  });
+}
+
+// Status of the last backup, shown in the popup
+async function saveLastBackup(lastBackup) {
+  return new Promise(resolve => chrome.storage.local.set({ lastBackup }, resolve));
+}
+
+// Record how a backup ended
+async function recordBackupResult(result) {
+  const lastBackup = { status: 'success', finished_at: new Date().toISOString() };
+  if (result.error) {
+    lastBackup.status = 'failed';
+    lastBackup.error = result.error;
+  } else if (result.cancelled) {
+    lastBackup.status = 'failed';
+    lastBackup.error = 'Paused before it finished; resume it from the popup';
+  } else if (result.summary) {
+    lastBackup.count = result.summary.successful_exports;
+    lastBackup.failed = result.summary.failed_exports;
+    lastBackup.file = result.fileName;
+    lastBackup.incremental = result.summary.sync_mode === 'changes_since_last_sync';
+  } else {
+    lastBackup.count = 0;
+    lastBackup.message = result.message;
+  }
+  await saveLastBackup(lastBackup);
+}
+
+// Remember a saved backup file and delete the oldest ones beyond the number to keep
+// Only files older than the newest full backup are deleted; until one exists, incremental files are kept
+// even past the limit, since one of them may hold the only copy of a conversation
+async function rememberBackupFile(downloadId, path, full) {
+  const settings = await getBackupSettings();
+  const { backupFiles = [] } = await new Promise(resolve => chrome.storage.local.get(['backupFiles'], resolve));
+  backupFiles.push({ downloadId, path, full, saved_at: new Date().toISOString() });
+  
+  const keep = Math.max(1, settings.keep);
+  const coveredByFull = Math.max(0, backupFiles.findLastIndex(file => file.full));
+  const expired = backupFiles.splice(0, Math.min(coveredByFull, Math.max(0, backupFiles.length - keep)));
+  for (const file of expired) {
+    try {
+      await chrome.downloads.removeFile(file.downloadId);
+      await chrome.downloads.erase({ id: file.downloadId });
+    } catch (error) {
+      // Already deleted or moved by the user
+      console.warn('Could not remove old backup', file.path, error);
+    }
+  }
+  await new Promise(resolve => chrome.storage.local.set({ backupFiles }, resolve));
+}
@@ -3,118 +3,270 @@ let allConversations = [];
 let filteredConversations = [];
 let orgId = null;
 let currentSort = 'updated_desc';
+let archiveMode = false; // Browse the local IndexedDB archive instead of claude.ai
+let searchResults = null; // Full-text matches by conversation uuid, null unless searching message text
+let searchTimer = null;
+let selectedIds = new Set(); // Checked conversations, kept while filtering and sorting
+let lastSelectedId = null; // Anchor for shift-click range selection
+let projectNames = {}; // Project names by uuid, cached for the offline archive
+let projects = []; // Projects of the organization from claude.ai; empty in archive mode
+let statsRun = 0; // Bumped for every Stats tab refresh, so a slower earlier one doesn't overwrite it
 
-// Model name mappings
-const MODEL_DISPLAY_NAMES = {
-  'claude-3-sonnet-20240229': 'Claude 3 Sonnet',
-  'claude-3-opus-20240229': 'Claude 3 Opus',
-  'claude-3-haiku-20240307': 'Claude 3 Haiku',
-  'claude-3-5-sonnet-20240620': 'Claude 3.5 Sonnet',
-  'claude-3-5-haiku-20241022': 'Claude 3.5 Haiku',
-  'claude-3-5-sonnet-20241022': 'Claude 3.6 Sonnet',
-  'claude-3-7-sonnet-20250219': 'Claude 3.7 Sonnet',
-  'claude-sonnet-4-20250514': 'Claude Sonnet 4',
-  'claude-opus-4-20250514': 'Claude Opus 4',
-  'claude-opus-4-1-20250805': 'Claude Opus 4.1',
-  'claude-sonnet-4-5-20250929': 'Claude Sonnet 4.5',
-  'claude-opus-4-5-20251101': 'Claude Opus 4.5',
-  'claude-haiku-4-5-20251001': 'Claude Haiku 4.5'
+// Filters saved in the URL hash, by hash key and control id
+const HASH_FILTERS = {
+  q: 'searchInput',
+  model: 'modelFilter',
+  project: 'projectFilter',
+  starred: 'starredOnly',
+  created_from: 'createdFrom',
+  created_to: 'createdTo',
+  updated_from: 'updatedFrom',
+  updated_to: 'updatedTo',
+  min_messages: 'minMessages',
+  max_messages: 'maxMessages',
+  sort: 'sortBy'
 };
 
-// Default model timeline for null models
-// Each entry represents when that model became the default
-const DEFAULT_MODEL_TIMELINE = [
-  { date: new Date('2024-01-01'), model: 'claude-3-sonnet-20240229' }, // Before June 20, 2024
-  { date: new Date('2024-06-20'), model: 'claude-3-5-sonnet-20240620' }, // Starting June 20, 2024
-  { date: new Date('2024-10-22'), model: 'claude-3-5-sonnet-20241022' }, // Starting October 22, 2024
-  { date: new Date('2025-02-24'), model: 'claude-3-7-sonnet-20250219' }, // Starting February 24, 2025
-  { date: new Date('2025-05-22'), model: 'claude-sonnet-4-20250514' }, // Starting May 22, 2025
-  { date: new Date('2025-09-29'), model: 'claude-sonnet-4-5-20250929' }, // Starting September 29, 2025
-  { date: new Date('2025-11-01'), model: 'claude-opus-4-5-20251101' } // Starting November 1, 2025
-];
-
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
+  restoreFiltersFromHash();
+  await loadBrowseSource();
   await loadOrgId();
   await loadConversations();
   setupEventListeners();
+  await updateResumeButton();
+  
+  // A bookmarked message search runs once the list is loaded
+  if (document.getElementById('fullTextSearch').checked) {
+    await runFullTextSearch();
+  }
 });
 
-// Infer model for conversations with null model based on date
-function inferModel(conversation) {
-  if (conversation.model) {
-    return conversation.model;
-  }
-  
-  // Use created_at date to determine which default model was active
-  const conversationDate = new Date(conversation.created_at);
+// Load organization ID from storage
+async function loadOrgId() {
+  const readOrgId = () => new Promise((resolve) => {
+    chrome.storage.sync.get(['organizationId'], (result) => resolve(result.organizationId));
+  });
+  orgId = await readOrgId();
   
-  // Find the appropriate model based on the conversation date
-  // Start from the end and work backwards to find the right period
-  for (let i = DEFAULT_MODEL_TIMELINE.length - 1; i >= 0; i--) {
-    if (conversationDate >= DEFAULT_MODEL_TIMELINE[i].date) {
-      return DEFAULT_MODEL_TIMELINE[i].model;
+  // Refresh the organization list from claude.ai; this also picks one if none is configured yet
+  let organizations = await getSavedOrganizations();
+  if (!archiveMode) {
+    try {
+      organizations = await discoverOrganizations();
+      orgId = await readOrgId();
+    } catch (error) {
+      console.warn('Could not detect organizations:', error);
     }
   }
   
-  // If date is before all known dates, use the first model
-  return DEFAULT_MODEL_TIMELINE[0].model;
+  // The organization picker is only shown to users who belong to several organizations
+  if (organizations.length > 1) {
+    populateOrganizationSelect(document.getElementById('orgSelect'), organizations, orgId);
+    document.getElementById('orgPicker').style.display = 'flex';
+  }
+  
+  if (!orgId && !archiveMode) {
+    showError('Organization ID not configured. Please configure it in the extension options, or switch to the offline archive.');
+  }
 }
 
-// Load organization ID from storage
-async function loadOrgId() {
+// Switch to another organization and reload its conversations
+async function changeOrganization(event) {
+  orgId = event.target.value;
+  selectedIds.clear();
+  await setActiveOrganization(orgId);
+  await reloadConversations();
+}
+
+// Restore whether the last visit browsed claude.ai or the offline archive
+async function loadBrowseSource() {
   return new Promise((resolve) => {
-    chrome.storage.sync.get(['organizationId'], (result) => {
-      orgId = result.organizationId;
-      if (!orgId) {
-        showError('Organization ID not configured. Please configure it in the extension options.');
-      }
+    chrome.storage.local.get(['browseSource'], (result) => {
+      archiveMode = result.browseSource === 'archive';
+      document.getElementById('sourceSelect').value = archiveMode ? 'archive' : 'online';
       resolve();
     });
   });
 }
 
+// Switch between claude.ai and the offline archive
+async function changeBrowseSource(event) {
+  archiveMode = event.target.value === 'archive';
+  chrome.storage.local.set({ browseSource: event.target.value });
+  await reloadConversations();
+}
+
+// Clear the list and load it again for the current source and organization
+async function reloadConversations() {
+  allConversations = [];
+  searchResults = null;
+  document.getElementById('tableContent').innerHTML = `
+    <div class="loading">
+      <div class="spinner"></div>
+      <div>Loading conversations...</div>
+    </div>
+  `;
+  
+  if (!orgId && !archiveMode) {
+    showError('Organization ID not configured. Please configure it in the extension options, or switch to the offline archive.');
+    updateStats();
+    return;
+  }
+  await loadConversations();
+  
+  if (document.getElementById('fullTextSearch').checked) {
+    await runFullTextSearch();
+  }
+}
+
 // Load all conversations
 async function loadConversations() {
+  if (archiveMode) {
+    await loadArchivedConversations();
+    return;
+  }
   if (!orgId) return;
   
   try {
-    const response = await fetch(`https://claude.ai/api/organizations/${orgId}/chat_conversations`, {
-      credentials: 'include',
-      headers: {
-        'Accept': 'application/json',
+    allConversations = await listConversations(orgId, {
+      onPage: (count) => {
+        document.getElementById('stats').textContent = `Loaded ${count} conversations...`;
       }
     });
+    console.log(`Loaded ${allConversations.length} conversations`);
     
-    if (!response.ok) {
-      throw new Error(`Failed to load conversations: ${response.status}`);
-    }
+    // Flag archived conversations that have since been deleted on claude.ai
+    markDeletedConversations(orgId, allConversations.map(conv => conv.uuid))
+      .catch(error => console.warn('Could not update the archive:', error));
     
-    allConversations = await response.json();
-    console.log(`Loaded ${allConversations.length} conversations`);
+    await addArchivedCounts();
+    await loadProjectNames();
+    showConversations();
+    addMissingTokenEstimates();
     
-    // Infer models for conversations with null model
-    allConversations = allConversations.map(conv => ({
-      ...conv,
-      model: inferModel(conv)
-    }));
+  } catch (error) {
+    console.error('Error loading conversations:', error);
+    showError(`Failed to load conversations: ${error.message}. Switch to the offline archive to browse saved conversations.`);
+  }
+}
+
+// Load conversation summaries from the local archive, without touching the network
+async function loadArchivedConversations() {
+  try {
+    allConversations = await listArchivedConversations(orgId);
+    console.log(`Loaded ${allConversations.length} archived conversations`);
     
-    // Extract unique models for filter
-    const models = [...new Set(allConversations.map(c => c.model))].filter(m => m).sort();
-    populateModelFilter(models);
+    if (allConversations.length === 0) {
+      showError('The offline archive is empty. Conversations are archived whenever they are exported.');
+      updateStats();
+      return;
+    }
     
-    // Apply initial sort and display
-    applyFiltersAndSort();
+    await loadProjectNames();
+    showConversations();
+    addMissingTokenEstimates();
     
   } catch (error) {
-    console.error('Error loading conversations:', error);
-    showError(`Failed to load conversations: ${error.message}`);
+    console.error('Error loading archive:', error);
+    showError(`Failed to open the offline archive: ${error.message}`);
+  }
+}
+
+// The conversation list doesn't include message counts or token estimates; take them from the archive
+// where the archived copy is up to date, so length filters and the token column work for those conversations
+async function addArchivedCounts() {
+  try {
+    const archived = new Map((await listArchivedConversations(orgId)).map(summary => [summary.uuid, summary]));
+    allConversations.forEach(conv => {
+      const summary = archived.get(conv.uuid);
+      if (summary && summary.updated_at === conv.updated_at) {
+        conv.message_count = summary.message_count;
+        conv.token_estimate = summary.token_estimate;
+      }
+    });
+  } catch (error) {
+    console.warn('Could not read message counts from the archive:', error);
+  }
+}
+
+// Estimate the tokens of conversations archived before estimates were kept, then show them
+async function addMissingTokenEstimates() {
+  try {
+    if (await updateTokenEstimates(orgId) > 0) {
+      await addArchivedCounts();
+      applyFiltersAndSort();
+    }
+  } catch (error) {
+    console.warn('Could not estimate tokens of archived conversations:', error);
   }
 }
 
+// Estimated tokens of a row's current branch, with a warning when it doesn't fit the context window
+function renderTokenEstimate(conv) {
+  const tokens = conv.token_estimate;
+  if (!tokens) {
+    return '<span class="token-estimate" title="Estimated once the conversation is archived, when it is exported or viewed">–</span>';
+  }
+  
+  let html = `<span class="token-estimate" title="${escapeHtml(`Current branch, estimated: ${formatTokenEstimate(tokens)}`)}">${formatStatNumber(tokens.total)}</span>`;
+  if (tokens.total > CONTEXT_WINDOW_TOKENS) {
+    const warning = `More than the ${CONTEXT_WINDOW_TOKENS.toLocaleString()}-token context window of Claude's models; "Last N tokens" exports only the newest turns`;
+    html += `<span class="context-warning" title="${escapeHtml(warning)}">⚠ Over ${formatStatNumber(CONTEXT_WINDOW_TOKENS)}</span>`;
+  }
+  return html;
+}
+
+// Load project names from claude.ai, falling back to the ones saved last time
+async function loadProjectNames() {
+  const saved = await new Promise(resolve => chrome.storage.local.get(['projectNames'], resolve));
+  projectNames = saved.projectNames || {};
+  projects = [];
+  if (archiveMode || !orgId) return;
+  
+  try {
+    projects = await listProjects(orgId);
+    projects.forEach(project => {
+      projectNames[project.uuid] = project.name;
+    });
+    chrome.storage.local.set({ projectNames });
+  } catch (error) {
+    console.warn('Could not load projects:', error);
+  }
+}
+
+// Display name of a project
+function getProjectName(projectUuid) {
+  return projectNames[projectUuid] || `Project ${projectUuid.slice(0, 8)}`;
+}
+
+// Prepare the loaded conversation list for display
+function showConversations() {
+  // Infer models for conversations with null model
+  allConversations = allConversations.map(conv => ({
+    ...conv,
+    model: inferModel(conv)
+  }));
+  
+  // Forget selected conversations that are no longer listed
+  const loadedIds = new Set(allConversations.map(conv => conv.uuid));
+  selectedIds = new Set([...selectedIds].filter(id => loadedIds.has(id)));
+  
+  // Extract unique models for filter
+  const models = [...new Set(allConversations.map(c => c.model))].filter(m => m).sort();
+  populateModelFilter(models);
+  populateProjectFilter();
+  
+  // Apply initial sort and display
+  applyFiltersAndSort();
+}
+
 // Populate model filter dropdown
+// Keeps the current choice, or the one restored from the URL hash before the list was loaded
 function populateModelFilter(models) {
   const modelFilter = document.getElementById('modelFilter');
+  const selected = modelFilter.dataset.restored ?? modelFilter.value;
+  delete modelFilter.dataset.restored;
   modelFilter.innerHTML = '<option value="">All Models</option>';
   
   models.forEach(model => {
@@ -123,35 +275,128 @@ function populateModelFilter(models) {
     option.textContent = formatModelName(model);
     modelFilter.appendChild(option);
   });
+  modelFilter.value = models.includes(selected) ? selected : '';
+}
+
+// Populate the project filter with the projects that have conversations, by name
+function populateProjectFilter() {
+  const projectFilter = document.getElementById('projectFilter');
+  const selected = projectFilter.dataset.restored ?? projectFilter.value;
+  delete projectFilter.dataset.restored;
+  projectFilter.innerHTML = '<option value="">All Projects</option><option value="none">No project</option>';
+  
+  const projectUuids = [...new Set(allConversations.map(conv => conv.project_uuid).filter(Boolean))]
+    .sort((a, b) => getProjectName(a).localeCompare(getProjectName(b)));
+  projectUuids.forEach(projectUuid => {
+    const option = document.createElement('option');
+    option.value = projectUuid;
+    option.textContent = getProjectName(projectUuid);
+    projectFilter.appendChild(option);
+  });
+  projectFilter.value = selected === 'none' || projectUuids.includes(selected) ? selected : '';
 }
 
-// Format model name for display
-function formatModelName(model) {
-  return MODEL_DISPLAY_NAMES[model] || model;
+// Calendar date (YYYY-MM-DD) of a timestamp in the user's time zone, to compare with date inputs
+function getLocalDate(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
 }
 
-// Get model badge class
-function getModelBadgeClass(model) {
-  if (model.includes('sonnet')) return 'sonnet';
-  if (model.includes('opus')) return 'opus';
-  if (model.includes('haiku')) return 'haiku';
-  return '';
+// Read the filter controls
+function getFilterState() {
+  const state = {};
+  Object.entries(HASH_FILTERS).forEach(([key, id]) => {
+    const control = document.getElementById(id);
+    state[key] = control.type === 'checkbox' ? (control.checked ? '1' : '') : control.value.trim();
+  });
+  return state;
+}
+
+// Save the filters in the URL hash, so a filtered view can be bookmarked
+// Only filters that differ from the defaults are written
+function saveFiltersToHash(state) {
+  const params = new URLSearchParams();
+  Object.entries(state).forEach(([key, value]) => {
+    if (value && !(key === 'sort' && value === 'updated_desc')) {
+      params.set(key, value);
+    }
+  });
+  if (document.getElementById('fullTextSearch').checked) {
+    params.set('fulltext', '1');
+  }
+  
+  const hash = params.toString();
+  if (hash !== location.hash.slice(1)) {
+    history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+  }
+}
+
+// Set the filter controls from the URL hash
+// Dropdowns filled later (models, projects) keep the value in data-restored until they are populated
+function restoreFiltersFromHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  Object.entries(HASH_FILTERS).forEach(([key, id]) => {
+    const control = document.getElementById(id);
+    const value = params.get(key) || '';
+    if (control.type === 'checkbox') {
+      control.checked = value === '1';
+    } else if (id === 'modelFilter' || id === 'projectFilter') {
+      control.dataset.restored = value;
+      control.value = value;
+    } else {
+      control.value = key === 'sort' ? value || 'updated_desc' : value;
+    }
+  });
+  
+  currentSort = document.getElementById('sortBy').value;
+  document.getElementById('searchBox').classList.toggle('has-text', Boolean(params.get('q')));
+  const fullText = document.getElementById('fullTextSearch');
+  fullText.checked = params.get('fulltext') === '1';
+  document.getElementById('searchInput').placeholder = fullText.checked
+    ? 'Search messages... "exact phrase" from:human from:assistant'
+    : 'Search conversations by name...';
+}
+
+// Whether a conversation passes the date, project, starred and length filters
+function matchesAdvancedFilters(conv, state) {
+  const created = getLocalDate(conv.created_at);
+  const updated = getLocalDate(conv.updated_at);
+  if (state.created_from && created < state.created_from) return false;
+  if (state.created_to && created > state.created_to) return false;
+  if (state.updated_from && updated < state.updated_from) return false;
+  if (state.updated_to && updated > state.updated_to) return false;
+  
+  if (state.project === 'none' && conv.project_uuid) return false;
+  if (state.project && state.project !== 'none' && conv.project_uuid !== state.project) return false;
+  if (state.starred && !conv.is_starred) return false;
+  
+  // Length filters only keep conversations whose message count is known
+  if (state.min_messages || state.max_messages) {
+    if (typeof conv.message_count !== 'number') return false;
+    if (state.min_messages && conv.message_count < Number(state.min_messages)) return false;
+    if (state.max_messages && conv.message_count > Number(state.max_messages)) return false;
+  }
+  return true;
 }
 
 // Apply filters and sorting
 function applyFiltersAndSort() {
   const searchTerm = document.getElementById('searchInput').value.toLowerCase();
   const modelFilter = document.getElementById('modelFilter').value;
+  const filterState = getFilterState();
+  saveFiltersToHash(filterState);
   
   // Filter conversations
   filteredConversations = allConversations.filter(conv => {
-    const matchesSearch = !searchTerm || 
+    const matchesSearch = searchResults ? searchResults.has(conv.uuid) : (!searchTerm || 
       conv.name.toLowerCase().includes(searchTerm) ||
-      (conv.summary && conv.summary.toLowerCase().includes(searchTerm));
+      (conv.summary && conv.summary.toLowerCase().includes(searchTerm)));
     
     const matchesModel = !modelFilter || conv.model === modelFilter;
     
-    return matchesSearch && matchesModel;
+    return matchesSearch && matchesModel && matchesAdvancedFilters(conv, filterState);
   });
   
   // Sort conversations
@@ -160,6 +405,9 @@ function applyFiltersAndSort() {
   // Update display
   displayConversations();
   updateStats();
+  if (!document.getElementById('statsView').hidden) {
+    displayUsageStats();
+  }
 }
 
 // Sort conversations based on current sort setting
@@ -200,6 +448,7 @@ function displayConversations() {
   
   if (filteredConversations.length === 0) {
     tableContent.innerHTML = '<div class="no-results">No conversations found</div>';
+    updateSelectionBar();
     return;
   }
   
@@ -207,10 +456,12 @@ function displayConversations() {
     <table>
       <thead>
         <tr>
+          <th class="select-col"><input type="checkbox" id="selectAllVisible" title="Select all visible conversations"></th>
           <th class="sortable" data-sort="name">Name</th>
           <th class="sortable" data-sort="updated">Last Updated</th>
           <th class="sortable" data-sort="created">Created</th>
           <th>Model</th>
+          <th>Tokens</th>
           <th>Actions</th>
         </tr>
       </thead>
@@ -221,26 +472,37 @@ function displayConversations() {
     const updatedDate = new Date(conv.updated_at).toLocaleDateString();
     const createdDate = new Date(conv.created_at).toLocaleDateString();
     const modelBadgeClass = getModelBadgeClass(conv.model);
+    const searchHits = searchResults && searchResults.has(conv.uuid) ? searchResults.get(conv.uuid).hits : [];
+    const snippets = searchHits.map(hit => `
+          <div class="search-snippet" data-id="${conv.uuid}" data-message="${hit.message_uuid}" title="Open at this message">
+            <span class="snippet-sender">${hit.sender === 'human' ? 'You' : 'Claude'}:</span> ${hit.snippet}
+          </div>`).join('');
     
     html += `
-      <tr data-id="${conv.uuid}">
+      <tr data-id="${conv.uuid}"${selectedIds.has(conv.uuid) ? ' class="selected"' : ''}>
+        <td class="select-col">
+          <input type="checkbox" class="row-select" data-id="${conv.uuid}"${selectedIds.has(conv.uuid) ? ' checked' : ''}>
+        </td>
         <td>
           <div class="conversation-name">
-            <a href="https://claude.ai/chat/${conv.uuid}" target="_blank" title="${conv.name}">
-              ${conv.name}
+            <a href="https://claude.ai/chat/${conv.uuid}" target="_blank" title="${escapeHtml(conv.name)}">
+              ${escapeHtml(conv.name)}
             </a>
           </div>
+          ${conv.project_uuid ? `<span class="project-badge">${escapeHtml(getProjectName(conv.project_uuid))}</span>` : ''}
+          ${conv.deleted ? '<span class="archive-badge" title="Only available in the offline archive">Deleted on claude.ai</span>' : ''}${snippets}
         </td>
         <td class="date">${updatedDate}</td>
         <td class="date">${createdDate}</td>
         <td>
           <span class="model-badge ${modelBadgeClass}">
-            ${formatModelName(conv.model)}
+            ${escapeHtml(formatModelName(conv.model))}
           </span>
         </td>
+        <td>${renderTokenEstimate(conv)}</td>
         <td>
           <div class="actions">
-            <button class="btn-small btn-export" data-id="${conv.uuid}" data-name="${conv.name}">
+            <button class="btn-small btn-export" data-id="${conv.uuid}" data-name="${escapeHtml(conv.name)}">
               Export
             </button>
             <button class="btn-small btn-view" data-id="${conv.uuid}">
@@ -259,18 +521,41 @@ function displayConversations() {
   
   tableContent.innerHTML = html;
   
+  // Row checkboxes; click (not change) so shift-click can select a range
+  document.querySelectorAll('.row-select').forEach(checkbox => {
+    checkbox.addEventListener('click', toggleRowSelection);
+  });
+  document.getElementById('selectAllVisible').addEventListener('change', (e) => {
+    filteredConversations.forEach(conv => {
+      if (e.target.checked) {
+        selectedIds.add(conv.uuid);
+      } else {
+        selectedIds.delete(conv.uuid);
+      }
+    });
+    lastSelectedId = null;
+    updateSelectionDisplay();
+  });
+  updateSelectionDisplay();
+  
   // Add export button listeners
-  document.querySelectorAll('.btn-export').forEach(btn => {
+  tableContent.querySelectorAll('.btn-export').forEach(btn => {
     btn.addEventListener('click', (e) => {
       exportConversation(e.target.dataset.id, e.target.dataset.name);
     });
   });
   
-  // Add view button listeners
-  document.querySelectorAll('.btn-view').forEach(btn => {
+  // Add view button listeners (only the table's; header buttons share the class)
+  tableContent.querySelectorAll('.btn-view').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      const conversationId = e.target.dataset.id;
-      window.open(`https://claude.ai/chat/${conversationId}`, '_blank');
+      openReader(e.target.dataset.id);
+    });
+  });
+  
+  // Search snippets open the conversation at the matching message; search only covers the archive
+  document.querySelectorAll('.search-snippet').forEach(snippet => {
+    snippet.addEventListener('click', () => {
+      openReader(snippet.dataset.id, snippet.dataset.message, 'archive');
     });
   });
   
@@ -278,63 +563,402 @@ function displayConversations() {
   document.getElementById('exportAllBtn').disabled = false;
 }
 
+// Check or uncheck a row; shift-click applies the same state to every visible row since the last one clicked
+function toggleRowSelection(event) {
+  const id = event.target.dataset.id;
+  const checked = event.target.checked;
+  let ids = [id];
+  
+  const visibleIds = filteredConversations.map(conv => conv.uuid);
+  if (event.shiftKey && lastSelectedId && visibleIds.includes(lastSelectedId)) {
+    const [from, to] = [visibleIds.indexOf(lastSelectedId), visibleIds.indexOf(id)].sort((a, b) => a - b);
+    ids = visibleIds.slice(from, to + 1);
+  }
+  
+  ids.forEach(uuid => {
+    if (checked) {
+      selectedIds.add(uuid);
+    } else {
+      selectedIds.delete(uuid);
+    }
+  });
+  lastSelectedId = id;
+  updateSelectionDisplay();
+}
+
+// Reflect the selection in the rows, the select-all box and the action bar without redrawing the table
+function updateSelectionDisplay() {
+  document.querySelectorAll('.row-select').forEach(checkbox => {
+    checkbox.checked = selectedIds.has(checkbox.dataset.id);
+    checkbox.closest('tr').classList.toggle('selected', checkbox.checked);
+  });
+  
+  const selectAll = document.getElementById('selectAllVisible');
+  if (selectAll) {
+    const visibleSelected = filteredConversations.filter(conv => selectedIds.has(conv.uuid)).length;
+    selectAll.checked = visibleSelected > 0 && visibleSelected === filteredConversations.length;
+    selectAll.indeterminate = visibleSelected > 0 && visibleSelected < filteredConversations.length;
+  }
+  updateSelectionBar();
+}
+
+// Show the action bar while conversations are selected
+function updateSelectionBar() {
+  const bar = document.getElementById('selectionBar');
+  bar.hidden = selectedIds.size === 0;
+  
+  const visibleIds = new Set(filteredConversations.map(conv => conv.uuid));
+  const hidden = [...selectedIds].filter(id => !visibleIds.has(id)).length;
+  document.getElementById('selectionCount').textContent = `${selectedIds.size} selected` +
+    (hidden ? ` (${hidden} hidden by the current filter)` : '');
+}
+
+// Selected conversations, in list order, including ones hidden by the current filter
+function getSelectedConversations() {
+  return allConversations.filter(conv => selectedIds.has(conv.uuid));
+}
+
+// Export the selected conversations as one ZIP
+async function exportSelected() {
+  const conversations = getSelectedConversations();
+  if (conversations.length === 0) return;
+  
+  try {
+    if (!(await discardUnfinishedExports())) return;
+    
+    const manifest = await loadSyncManifest(orgId);
+    const job = await createExportJob({
+      orgId,
+      source: archiveMode ? 'archive' : 'online',
+      format: document.getElementById('exportFormat').value,
+      includeMetadata: document.getElementById('includeMetadata').checked,
+      options: getExportOptions(),
+      settings: await getJobSettings(),
+      conversations,
+      sync: {
+        mode: 'selected',
+        previous_sync: manifest.last_sync,
+        deleted_conversations: []
+      },
+      fileName: `claude-selected-conversations-${new Date().toISOString().split('T')[0]}.zip`
+    });
+    await runExportJobWithProgress(job);
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    showToast(`Export failed: ${error.message}`, true);
+  }
+}
+
+// Copy the claude.ai links of the selected conversations, one per line
+async function copySelectedLinks() {
+  const links = getSelectedConversations().map(conv => `https://claude.ai/chat/${conv.uuid}`);
+  try {
+    await navigator.clipboard.writeText(links.join('\n'));
+    showToast(`Copied ${links.length} link${links.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    showToast(`Could not copy links: ${error.message}`, true);
+  }
+}
+
+// Open the selected conversations on claude.ai, in background tabs
+function openSelectedInTabs() {
+  const conversations = getSelectedConversations();
+  if (conversations.length > 10 && !confirm(`Open ${conversations.length} tabs?`)) return;
+  conversations.forEach(conv => {
+    chrome.tabs.create({ url: `https://claude.ai/chat/${conv.uuid}`, active: false });
+  });
+}
+
 // Update statistics
 function updateStats() {
   const stats = document.getElementById('stats');
   stats.textContent = `Showing ${filteredConversations.length} of ${allConversations.length} conversations`;
+  
+  if (archiveMode) {
+    const deletedCount = allConversations.filter(conv => conv.deleted).length;
+    stats.textContent += ` in the offline archive` + (deletedCount ? ` (${deletedCount} deleted on claude.ai)` : '');
+  }
+  
+  if (searchResults && !archiveMode) {
+    stats.textContent += ' (message search covers archived conversations only)';
+  }
+  
+  const filterState = getFilterState();
+  if (filterState.min_messages || filterState.max_messages) {
+    const unknown = allConversations.filter(conv => typeof conv.message_count !== 'number').length;
+    if (unknown > 0) {
+      stats.textContent += ` (length unknown for ${unknown} conversations not yet archived)`;
+    }
+  }
+}
+
+// Search message bodies through the archive's full-text index
+async function runFullTextSearch() {
+  const query = document.getElementById('searchInput').value.trim();
+  if (!query) {
+    searchResults = null;
+    applyFiltersAndSort();
+    return;
+  }
+  
+  try {
+    // Conversations archived before the index existed are indexed on first use
+    const stats = document.getElementById('stats');
+    const indexed = await updateSearchIndex(orgId, (done, total) => {
+      stats.textContent = `Indexing ${done + 1} of ${total} archived conversations...`;
+    });
+    if (indexed > 0) {
+      showToast(`Indexed ${indexed} archived conversations for search`);
+    }
+    
+    const results = await searchArchive(query, orgId);
+    
+    // Ignore results for a query the user has already changed
+    if (!document.getElementById('fullTextSearch').checked ||
+        document.getElementById('searchInput').value.trim() !== query) {
+      return;
+    }
+    searchResults = new Map(results.map(result => [result.uuid, result]));
+    applyFiltersAndSort();
+    
+  } catch (error) {
+    console.error('Search error:', error);
+    showToast(`Search failed: ${error.message}`, true);
+  }
+}
+
+// Open a conversation in the reader, optionally at one of its messages
+// Deleted conversations and the offline source read from the archive; otherwise the reader fetches from claude.ai
+function openReader(conversationId, messageUuid = null, source = null) {
+  const conv = allConversations.find(item => item.uuid === conversationId);
+  const params = new URLSearchParams({
+    id: conversationId,
+    org: orgId || '',
+    source: source || (archiveMode || conv?.deleted ? 'archive' : 'online')
+  });
+  const hash = messageUuid ? `#msg-${messageUuid}` : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL(`reader.html?${params}${hash}`) });
+}
+
+// Collect the export options shared by single and bulk exports
+function getExportOptions() {
+  return {
+    allBranches: document.getElementById('allBranches').checked,
+    toolUse: document.getElementById('includeToolUse').checked,
+    toolResults: document.getElementById('includeToolResults').checked,
+    citations: document.getElementById('includeCitations').checked,
+    thinking: document.getElementById('includeThinking').checked,
+    artifacts: document.getElementById('exportArtifacts').checked,
+    allArtifactVersions: document.getElementById('allArtifactVersions').checked,
+    attachments: document.getElementById('includeAttachments').checked,
+    mergeConsecutive: document.getElementById('mergeConsecutive').checked,
+    stripTools: document.getElementById('stripTools').checked,
+    truncateTokens: Number(document.getElementById('truncateTokens').value) || 0
+  };
+}
+
+// Get a full conversation, from the archive in offline mode or from claude.ai otherwise
+// Conversations fetched from claude.ai are saved to the archive on the way
+async function getConversationData(conversationId, signal) {
+  if (archiveMode) {
+    const data = await getArchivedConversation(conversationId);
+    if (!data) {
+      throw new Error('Conversation is not in the offline archive');
+    }
+    return data;
+  }
+  
+  const data = await fetchConversation(orgId, conversationId, { signal });
+  
+  try {
+    await archiveConversation(orgId, data);
+  } catch (error) {
+    console.warn('Could not archive conversation:', error);
+  }
+  
+  return data;
 }
 
 // Export single conversation
 async function exportConversation(conversationId, conversationName) {
   const format = document.getElementById('exportFormat').value;
   const includeMetadata = document.getElementById('includeMetadata').checked;
+  const options = getExportOptions();
   
   try {
     showToast(`Exporting ${conversationName}...`);
     
-    const response = await fetch(
-      `https://claude.ai/api/organizations/${orgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true`,
-      {
-        credentials: 'include',
-        headers: {
-          'Accept': 'application/json',
-        }
-      }
-    );
+    const data = await getConversationData(conversationId);
     
-    if (!response.ok) {
-      throw new Error(`Failed to fetch conversation: ${response.status}`);
+    // Infer model if null
+    data.model = inferModel(data);
+    if (data.project_uuid && !data.project?.name) {
+      data.project = { uuid: data.project_uuid, name: getProjectName(data.project_uuid) };
     }
     
-    const data = await response.json();
+    // Single downloads are named like bulk exports, without the layout's folder
+    const baseName = getExportBaseName(data, await getFileNamingSettings(), { layout: false });
+    const files = await buildConversationFiles(data, format, includeMetadata, options, baseName);
+    await downloadConversationFiles(files, baseName);
+    showToast(`Exported: ${conversationName}${files[0].warning ? `. ${files[0].warning}` : ''}`, Boolean(files[0].warning));
     
-    // Infer model if null
-    data.model = inferModel(data);
+  } catch (error) {
+    console.error('Export error:', error);
+    showToast(`Failed to export: ${error.message}`, true);
+  }
+}
+
+// Switch between the conversation list, the projects view and the usage statistics
+function showView(view) {
+  ['conversations', 'projects', 'stats'].forEach(name => {
+    document.getElementById(`${name}Tab`).classList.toggle('active', view === name);
+    document.getElementById(`${name}View`).hidden = view !== name;
+  });
+  if (view === 'projects') {
+    displayProjects();
+  } else if (view === 'stats') {
+    displayUsageStats();
+  }
+}
+
+// Show usage statistics of the conversations in the list, so the filters narrow them down
+// Message figures come from the archive; reading it is slow only the first time
+async function displayUsageStats() {
+  const run = ++statsRun;
+  const statsContent = document.getElementById('statsContent');
+  const conversations = [...filteredConversations];
+  statsContent.innerHTML = '<div class="loading"><div class="spinner"></div><div id="statsProgress">Reading the archive...</div></div>';
+  
+  try {
+    const stats = await collectUsageStats(conversations, (done, total) => {
+      if (run === statsRun && done % 50 === 0) {
+        document.getElementById('statsProgress').textContent = `Reading the archive... ${done} / ${total}`;
+      }
+    });
+    if (run !== statsRun) return;
     
-    let content, filename, type;
-    switch (format) {
-      case 'markdown':
-        content = convertToMarkdown(data, includeMetadata);
-        filename = `claude-${conversationName || conversationId}.md`;
-        type = 'text/markdown';
-        break;
-      case 'text':
-        content = convertToText(data, includeMetadata);
-        filename = `claude-${conversationName || conversationId}.txt`;
-        type = 'text/plain';
-        break;
-      default:
-        content = JSON.stringify(data, null, 2);
-        filename = `claude-${conversationName || conversationId}.json`;
-        type = 'application/json';
+    const tables = getUsageStatsTables(stats);
+    statsContent.innerHTML = renderUsageStatsHtml(stats, tables);
+    
+    statsContent.querySelectorAll('.btn-stats-csv').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const table = tables.find(item => item.id === btn.dataset.table);
+        const date = new Date().toISOString().split('T')[0];
+        downloadFile(convertTableToCsv(table), `claude-stats-${table.id}-${date}.csv`, 'text/csv');
+      });
+    });
+    statsContent.querySelectorAll('.btn-stats-view').forEach(btn => {
+      btn.addEventListener('click', () => openReader(btn.dataset.id));
+    });
+    
+  } catch (error) {
+    console.error('Stats error:', error);
+    if (run === statsRun) {
+      statsContent.innerHTML = `<div class="error">Could not collect statistics: ${escapeHtml(error.message)}</div>`;
     }
+  }
+}
+
+// List projects with their conversation counts
+// Offline, projects are known only through archived conversations that belong to them
+function displayProjects() {
+  const projectsContent = document.getElementById('projectsContent');
+  const counts = new Map();
+  allConversations.forEach(conv => {
+    if (conv.project_uuid) {
+      counts.set(conv.project_uuid, (counts.get(conv.project_uuid) || 0) + 1);
+    }
+  });
+  
+  const list = projects.length > 0
+    ? projects.map(project => ({ uuid: project.uuid, name: project.name, description: project.description, updated_at: project.updated_at }))
+    : [...counts.keys()].map(uuid => ({ uuid, name: getProjectName(uuid) }));
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  
+  if (list.length === 0) {
+    projectsContent.innerHTML = '<div class="no-results">No projects found</div>';
+    return;
+  }
+  
+  projectsContent.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Project</th>
+          <th>Conversations</th>
+          <th>Last Updated</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${list.map(project => `
+        <tr data-id="${project.uuid}">
+          <td>
+            <div class="conversation-name">${escapeHtml(project.name)}</div>
+            ${project.description ? `<div class="project-description">${escapeHtml(project.description)}</div>` : ''}
+          </td>
+          <td>${counts.get(project.uuid) || 0}</td>
+          <td class="date">${project.updated_at ? new Date(project.updated_at).toLocaleDateString() : ''}</td>
+          <td>
+            <div class="actions">
+              <button class="btn-small btn-export btn-export-project" data-id="${project.uuid}">
+                Export project
+              </button>
+              <button class="btn-small btn-view btn-project-conversations" data-id="${project.uuid}">
+                Conversations
+              </button>
+            </div>
+          </td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  projectsContent.querySelectorAll('.btn-export-project').forEach(btn => {
+    btn.addEventListener('click', () => exportProject(btn.dataset.id));
+  });
+  
+  // Show the project's conversations in the list, through the project filter
+  projectsContent.querySelectorAll('.btn-project-conversations').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.getElementById('projectFilter').value = btn.dataset.id;
+      showView('conversations');
+      applyFiltersAndSort();
+    });
+  });
+}
+
+// Export a project as one ZIP: its instructions, knowledge documents and all of its conversations
+async function exportProject(projectUuid) {
+  const project = { uuid: projectUuid, name: getProjectName(projectUuid) };
+  const conversations = allConversations.filter(conv => conv.project_uuid === projectUuid);
+  
+  try {
+    if (!(await discardUnfinishedExports())) return;
     
-    downloadFile(content, filename, type);
-    showToast(`Exported: ${conversationName}`);
+    const manifest = await loadSyncManifest(orgId);
+    const job = await createExportJob({
+      orgId,
+      source: archiveMode ? 'archive' : 'online',
+      format: document.getElementById('exportFormat').value,
+      includeMetadata: document.getElementById('includeMetadata').checked,
+      options: getExportOptions(),
+      settings: await getJobSettings(),
+      conversations,
+      sync: {
+        mode: 'project',
+        previous_sync: manifest.last_sync,
+        deleted_conversations: []
+      },
+      fileName: `claude-project-${sanitizeFilename(project.name)}-${new Date().toISOString().split('T')[0]}.zip`,
+      project
+    });
+    await runExportJobWithProgress(job);
     
   } catch (error) {
     console.error('Export error:', error);
-    showToast(`Failed to export: ${error.message}`, true);
+    showToast(`Export failed: ${error.message}`, true);
   }
 }
 
@@ -342,7 +966,74 @@ async function exportConversation(conversationId, conversationName) {
 async function exportAllFiltered() {
   const format = document.getElementById('exportFormat').value;
   const includeMetadata = document.getElementById('includeMetadata').checked;
+  const options = getExportOptions();
   
+  try {
+    // In sync mode, only export what changed since the last run
+    // The archive only holds what was fetched before, so a conversation missing from it wasn't deleted on claude.ai
+    const sinceLastSync = document.getElementById('sinceLastSync').checked;
+    const manifest = await loadSyncManifest(orgId);
+    const diff = diffSyncManifest(allConversations.filter(conv => !conv.deleted), manifest);
+    if (archiveMode) {
+      diff.deleted = [];
+    }
+    let conversationsToExport = filteredConversations;
+    if (sinceLastSync) {
+      const changedIds = new Set(diff.changed.map(conv => conv.uuid));
+      conversationsToExport = filteredConversations.filter(conv => changedIds.has(conv.uuid));
+      
+      if (conversationsToExport.length === 0 && diff.deleted.length === 0) {
+        showToast(`No changes since the last sync (${new Date(manifest.last_sync).toLocaleString()})`);
+        return;
+      }
+    }
+    
+    if (!(await discardUnfinishedExports())) return;
+    
+    const job = await createExportJob({
+      orgId,
+      source: archiveMode ? 'archive' : 'online',
+      format,
+      includeMetadata,
+      options,
+      settings: await getJobSettings(),
+      conversations: conversationsToExport,
+      sync: {
+        mode: sinceLastSync ? 'changes_since_last_sync' : 'full',
+        previous_sync: manifest.last_sync,
+        deleted_conversations: diff.deleted
+      }
+    });
+    await runExportJobWithProgress(job);
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    showToast(`Export failed: ${error.message}`, true);
+  }
+}
+
+// A new export replaces an unfinished one, after asking
+// Jobs the background is running or has queued aren't unfinished, so they are left alone
+// Returns false if the user wants to keep the unfinished export
+async function discardUnfinishedExports() {
+  const status = await chrome.runtime.sendMessage({ action: 'getExportStatus' }).catch(() => null);
+  const busyJobIds = new Set(status?.jobIds || []);
+  const unfinished = (await listResumableExportJobs(orgId))
+    .filter(job => !busyJobIds.has(job.id) && !(status?.active && job.status === 'running'));
+  if (unfinished.length > 0 &&
+      !confirm('An unfinished export can still be resumed. Discard it and start a new export?')) {
+    return false;
+  }
+  for (const job of unfinished) {
+    await deleteExportJob(job.id);
+  }
+  return true;
+}
+
+// Run an export job in the background and follow it in the progress modal
+// The background worker saves the ZIP, so the export keeps going if this tab is closed
+// Cancelling pauses the job, so it can be resumed later
+async function runExportJobWithProgress(job) {
   const button = document.getElementById('exportAllBtn');
   button.disabled = true;
   button.textContent = 'Preparing...';
@@ -352,143 +1043,72 @@ async function exportAllFiltered() {
   const progressBar = document.getElementById('progressBar');
   const progressText = document.getElementById('progressText');
   const progressStats = document.getElementById('progressStats');
+  progressBar.style.width = '0%';
+  progressStats.textContent = '';
   progressModal.style.display = 'block';
   
-  let cancelExport = false;
-  const cancelButton = document.getElementById('cancelExport');
-  cancelButton.onclick = () => {
-    cancelExport = true;
-    progressText.textContent = 'Cancelling...';
+  const total = job.conversations.length;
+  progressText.textContent = job.status === 'pending'
+    ? `Exporting ${total} conversations...`
+    : `Resuming export of ${total} conversations...`;
+  
+  // Cancelling aborts the requests in flight as well as the ones still queued
+  document.getElementById('cancelExport').onclick = () => {
+    chrome.runtime.sendMessage({ action: 'cancelExport', jobId: job.id });
+    progressText.textContent = 'Pausing...';
+  };
+  document.getElementById('hideExport').onclick = () => {
+    progressModal.style.display = 'none';
   };
   
-  try {
-    // Create a new ZIP file
-    const zip = new JSZip();
-    const total = filteredConversations.length;
-    let completed = 0;
-    let failed = 0;
-    const failedConversations = [];
-    
-    progressText.textContent = `Exporting ${total} conversations...`;
-    
-    // Process conversations in batches to avoid overwhelming the API
-    const batchSize = 3; // Process 3 at a time
-    for (let i = 0; i < total; i += batchSize) {
-      if (cancelExport) break;
-      
-      const batch = filteredConversations.slice(i, Math.min(i + batchSize, total));
-      const promises = batch.map(async (conv) => {
-        try {
-          const response = await fetch(
-            `https://claude.ai/api/organizations/${orgId}/chat_conversations/${conv.uuid}?tree=True&rendering_mode=messages&render_all_tools=true`,
-            {
-              credentials: 'include',
-              headers: {
-                'Accept': 'application/json',
-              }
-            }
-          );
-          
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-          }
-          
-          const data = await response.json();
-          
-          // Infer model if null
-          data.model = inferModel(data);
-          
-          // Generate filename and content based on format
-          let content, filename;
-          const safeName = conv.name.replace(/[<>:"/\\|?*]/g, '_'); // Remove invalid filename characters
-          
-          switch (format) {
-            case 'markdown':
-              content = convertToMarkdown(data, includeMetadata);
-              filename = `${safeName}.md`;
-              break;
-            case 'text':
-              content = convertToText(data, includeMetadata);
-              filename = `${safeName}.txt`;
-              break;
-            default: // json
-              content = JSON.stringify(data, null, 2);
-              filename = `${safeName}.json`;
-          }
-          
-          // Add file to ZIP
-          zip.file(filename, content);
-          completed++;
-          
-        } catch (error) {
-          console.error(`Failed to export ${conv.name}:`, error);
-          failed++;
-          failedConversations.push(conv.name);
-        }
-      });
-      
-      // Wait for batch to complete
-      await Promise.all(promises);
-      
-      // Update progress
-      const progress = Math.round((completed + failed) / total * 100);
-      progressBar.style.width = `${progress}%`;
-      progressStats.textContent = `${completed} succeeded, ${failed} failed out of ${total}`;
-      
-      // Small delay between batches
-      if (i + batchSize < total && !cancelExport) {
-        await new Promise(resolve => setTimeout(resolve, 200));
+  // Progress and the result come from the offscreen document that runs the job
+  const finished = new Promise(resolve => {
+    const listener = (message) => {
+      if (message.jobId !== job.id) return;
+      if (message.action === 'exportProgress' && message.phase === 'fetch') {
+        const progress = Math.round((message.completed + message.failed) / total * 100);
+        progressBar.style.width = `${progress}%`;
+        progressStats.textContent = `${message.completed} succeeded, ${message.failed} failed out of ${total}`;
+      }
+      if (message.action === 'exportProgress' && message.phase === 'zip') {
+        progressText.textContent = 'Creating ZIP file...';
+        progressBar.style.width = `${message.percent}%`;
       }
+      if (message.action === 'exportFinished') {
+        chrome.runtime.onMessage.removeListener(listener);
+        resolve(message);
+      }
+    };
+    chrome.runtime.onMessage.addListener(listener);
+  });
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'queueExport', jobId: job.id });
+    if (response?.queued > 1) {
+      progressText.textContent = 'Waiting for another export to finish...';
     }
     
-    if (cancelExport) {
-      progressModal.style.display = 'none';
-      showToast('Export cancelled', true);
+    const result = await finished;
+    progressModal.style.display = 'none';
+    
+    if (result.cancelled) {
+      showToast('Export paused. Use "Resume export" to continue.', true);
+      return;
+    }
+    if (result.error) {
+      const resumable = result.errorKind === 'auth' ? ' Then use "Resume export" to continue.' : '';
+      showToast(`Export failed: ${result.error}${resumable}`, true);
       return;
     }
     
-    // Add a summary file
-    const summary = {
-      export_date: new Date().toISOString(),
-      total_conversations: total,
-      successful_exports: completed,
-      failed_exports: failed,
-      failed_conversations: failedConversations,
-      format: format,
-      include_metadata: includeMetadata
-    };
-    zip.file('export_summary.json', JSON.stringify(summary, null, 2));
-    
-    // Generate and download the ZIP file
-    progressText.textContent = 'Creating ZIP file...';
-    const blob = await zip.generateAsync({
-      type: 'blob',
-      compression: 'DEFLATE',
-      compressionOptions: {
-        level: 6 // Medium compression
-      }
-    }, (metadata) => {
-      // Update progress during ZIP creation
-      const zipProgress = Math.round(metadata.percent);
-      progressBar.style.width = `${zipProgress}%`;
-    });
-    
-    // Download the ZIP file
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `claude-conversations-${new Date().toISOString().split('T')[0]}.zip`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    progressModal.style.display = 'none';
-    
+    const { successful_exports: completed, failed_exports: failed, sync_mode: syncMode } = result.summary;
+    const warned = describeExportWarnings(result.summary);
     if (failed > 0) {
-      showToast(`Exported ${completed} of ${total} conversations (${failed} failed). Check export_summary.json in the ZIP for details.`);
+      showToast(`Exported ${completed} of ${total} conversations (${failed} failed)${warned}. Use "Retry failed only" with the downloaded ZIP to try them again.`);
+    } else if (syncMode === 'changes_since_last_sync') {
+      showToast(`Synced ${completed} changed conversations, ${job.sync.deleted_conversations.length} deleted since the last sync${warned}`);
     } else {
-      showToast(`Successfully exported all ${completed} conversations!`);
+      showToast(`Successfully exported all ${completed} conversations to ${result.fileName}${warned}`);
     }
     
   } catch (error) {
@@ -498,11 +1118,113 @@ async function exportAllFiltered() {
   } finally {
     button.disabled = false;
     button.textContent = 'Export All';
+    await updateResumeButton();
+  }
+}
+
+// Show "Resume export" when an earlier export of this organization was interrupted
+async function updateResumeButton() {
+  const resumeButton = document.getElementById('resumeExportBtn');
+  const discardButton = document.getElementById('discardExportBtn');
+  let job = null;
+  try {
+    [job] = orgId ? await listResumableExportJobs(orgId) : [];
+  } catch (error) {
+    console.warn('Could not check for unfinished exports:', error);
+  }
+  
+  resumeButton.hidden = !job;
+  discardButton.hidden = !job;
+  if (job) {
+    const done = [...(await getExportJobItems(job.id)).values()].filter(item => item.status === 'done').length;
+    resumeButton.textContent = `Resume export (${done} of ${job.conversations.length})`;
+    resumeButton.dataset.jobId = job.id;
+  }
+}
+
+// Continue an interrupted export
+async function resumeExport(jobId) {
+  const job = await getExportJob(jobId);
+  if (!job) {
+    showToast('That export no longer exists', true);
+    await updateResumeButton();
+    return;
+  }
+  await runExportJobWithProgress(job);
+}
+
+// Re-export only the conversations listed as failed in an export_summary.json, or in the summary inside an export ZIP
+async function retryFailedFromSummary(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  try {
+    let summaryText;
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      const zip = await JSZip.loadAsync(file);
+      const summaryFile = zip.file('export_summary.json');
+      if (!summaryFile) {
+        throw new Error('The ZIP has no export_summary.json');
+      }
+      summaryText = await summaryFile.async('string');
+    } else {
+      summaryText = await file.text();
+    }
+    
+    const summary = JSON.parse(summaryText);
+    const conversations = getFailedConversations(summary, allConversations);
+    if (conversations.length === 0) {
+      showToast('No failed conversations to retry');
+      return;
+    }
+    
+    if (!(await discardUnfinishedExports())) return;
+    
+    const job = await createExportJob({
+      orgId,
+      source: archiveMode ? 'archive' : 'online',
+      format: summary.format,
+      includeMetadata: summary.include_metadata,
+      options: summary.options || getExportOptions(),
+      settings: await getJobSettings(),
+      conversations,
+      sync: { mode: 'retry_failed', previous_sync: summary.export_date, deleted_conversations: [] }
+    });
+    await runExportJobWithProgress(job);
+    
+  } catch (error) {
+    console.error('Retry error:', error);
+    showToast(`Failed to retry: ${error.message}`, true);
+  }
+}
+
+// Replace the stored sync manifest with one saved in an earlier export
+async function loadManifestFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  try {
+    const manifest = JSON.parse(await file.text());
+    if (!manifest.conversations || typeof manifest.conversations !== 'object') {
+      throw new Error('Not a sync manifest');
+    }
+    if (manifest.organization_id && manifest.organization_id !== orgId) {
+      throw new Error('This manifest belongs to a different organization');
+    }
+    await saveSyncManifest(orgId, { ...manifest, organization_id: orgId });
+    showToast(`Loaded sync manifest with ${Object.keys(manifest.conversations).length} conversations`);
+  } catch (error) {
+    console.error('Manifest load error:', error);
+    showToast(`Failed to load manifest: ${error.message}`, true);
   }
 }
 
 // Conversion functions are now imported from utils.js
-// Functions available: getCurrentBranch, convertToMarkdown, convertToText, downloadFile
+// Functions available: getCurrentBranch, convertToMarkdown, convertToText, convertToHtml, downloadFile,
+// plus the model helpers inferModel, formatModelName and getModelBadgeClass
+// Archive helpers (archiveConversation, getArchivedConversation, listArchivedConversations) come from archive.js
 
 // Show error message
 function showError(message) {
@@ -533,25 +1255,122 @@ function setupEventListeners() {
     } else {
       searchBox.classList.remove('has-text');
     }
-    applyFiltersAndSort();
+    
+    // Message search waits for a pause in typing instead of querying on every key
+    if (document.getElementById('fullTextSearch').checked) {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(runFullTextSearch, 300);
+    } else {
+      applyFiltersAndSort();
+    }
   });
   
   // Clear search
   document.getElementById('clearSearch').addEventListener('click', () => {
     document.getElementById('searchInput').value = '';
     document.getElementById('searchBox').classList.remove('has-text');
+    searchResults = null;
     applyFiltersAndSort();
   });
   
+  // Switch between searching names and searching message text
+  document.getElementById('fullTextSearch').addEventListener('change', (e) => {
+    document.getElementById('searchInput').placeholder = e.target.checked
+      ? 'Search messages... "exact phrase" from:human from:assistant'
+      : 'Search conversations by name...';
+    if (e.target.checked) {
+      runFullTextSearch();
+    } else {
+      searchResults = null;
+      applyFiltersAndSort();
+    }
+  });
+  
   // Model filter
   document.getElementById('modelFilter').addEventListener('change', applyFiltersAndSort);
   
+  // Project, starred, date and length filters
+  ['projectFilter', 'starredOnly', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', applyFiltersAndSort);
+  });
+  ['minMessages', 'maxMessages'].forEach(id => {
+    document.getElementById(id).addEventListener('input', applyFiltersAndSort);
+  });
+  document.getElementById('resetFilters').addEventListener('click', () => {
+    ['projectFilter', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo', 'minMessages', 'maxMessages', 'modelFilter'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('starredOnly').checked = false;
+    applyFiltersAndSort();
+  });
+  
+  // Opening a bookmarked view in this tab only changes the hash
+  window.addEventListener('hashchange', async () => {
+    restoreFiltersFromHash();
+    populateModelFilter([...new Set(allConversations.map(c => c.model))].filter(m => m).sort());
+    populateProjectFilter();
+    if (document.getElementById('fullTextSearch').checked) {
+      await runFullTextSearch();
+    } else {
+      searchResults = null;
+      applyFiltersAndSort();
+    }
+  });
+  
   // Sort dropdown
   document.getElementById('sortBy').addEventListener('change', (e) => {
     currentSort = e.target.value;
     applyFiltersAndSort();
   });
   
+  // Switch between claude.ai and the offline archive
+  document.getElementById('sourceSelect').addEventListener('change', changeBrowseSource);
+  
+  // Switch organization
+  document.getElementById('orgSelect').addEventListener('change', changeOrganization);
+  
   // Export all button
   document.getElementById('exportAllBtn').addEventListener('click', exportAllFiltered);
+  
+  // Conversations, projects and stats views
+  document.getElementById('conversationsTab').addEventListener('click', () => showView('conversations'));
+  document.getElementById('projectsTab').addEventListener('click', () => showView('projects'));
+  document.getElementById('statsTab').addEventListener('click', () => showView('stats'));
+  
+  // Actions on the selected conversations
+  document.getElementById('exportSelectedBtn').addEventListener('click', exportSelected);
+  document.getElementById('copyLinksBtn').addEventListener('click', copySelectedLinks);
+  document.getElementById('openTabsBtn').addEventListener('click', openSelectedInTabs);
+  document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+    selectedIds.clear();
+    lastSelectedId = null;
+    updateSelectionDisplay();
+  });
+  
+  // Resume or discard an interrupted export
+  document.getElementById('resumeExportBtn').addEventListener('click', (e) => {
+    resumeExport(e.target.dataset.jobId);
+  });
+  document.getElementById('discardExportBtn').addEventListener('click', async () => {
+    if (!confirm('Discard the unfinished export?')) return;
+    await deleteExportJob(document.getElementById('resumeExportBtn').dataset.jobId);
+    await updateResumeButton();
+  });
+  
+  // Re-export the failed conversations of an earlier export
+  document.getElementById('retryFailedBtn').addEventListener('click', () => {
+    document.getElementById('summaryFile').click();
+  });
+  document.getElementById('summaryFile').addEventListener('change', retryFailedFromSummary);
+  
+  // Continue syncing from the sync_manifest.json of an earlier export
+  document.getElementById('loadManifestBtn').addEventListener('click', () => {
+    document.getElementById('manifestFile').click();
+  });
+  document.getElementById('manifestFile').addEventListener('change', loadManifestFile);
+  
+  // Earlier exports and claude.ai data exports are opened on their own page
+  document.getElementById('importFilesBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
+  });
 }
@@ -0,0 +1,384 @@
+// Compare view: two branches of a conversation, or two archived snapshots of it, side by side
+// Opened as compare.html?id=<conversation uuid>&org=<organization uuid>&source=online|archive, optionally with &mode=snapshots
+// Messages both sides share are shown once; the rest is paired message by message with a word-level diff
+
+const params = new URLSearchParams(location.search);
+
+// The chat view styles come first, so the page's own rules in compare.html can build on them
+const chatViewStyle = document.createElement('style');
+chatViewStyle.textContent = CHAT_VIEW_CSS;
+document.head.prepend(chatViewStyle);
+
+// Larger changes are not diffed word by word but shown as one removal and one addition
+const DIFF_MAX_CELLS = 4000000;
+
+let conversation = null;
+let snapshots = []; // Earlier archived versions, oldest first
+let comparison = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const conversationId = params.get('id');
+  const readerParams = new URLSearchParams(params);
+  readerParams.delete('mode');
+  document.getElementById('readerLink').href = `reader.html?${readerParams}`;
+  
+  try {
+    if (!conversationId) {
+      throw new Error('No conversation was given');
+    }
+    conversation = await getCompareConversation(conversationId);
+    conversation.model = inferModel(conversation);
+    snapshots = await listConversationSnapshots(conversationId);
+    
+    const title = conversation.name || 'Untitled Conversation';
+    document.title = `${title} - Compare`;
+    document.getElementById('compareTitle').textContent = title;
+    
+    const branches = getAllLeaves(buildMessageTree(conversation)).length;
+    document.getElementById('compareMeta').innerHTML =
+      `<span class="model-badge ${getModelBadgeClass(conversation.model)}">${escapeHtml(formatModelName(conversation.model))}</span>` +
+      `<span>${branches} branches</span><span>${snapshots.length} earlier archived versions</span>`;
+    
+    document.getElementById('compareMode').value = params.get('mode') === 'snapshots' ? 'snapshots' : 'branches';
+    fillCompareSelects();
+    
+  } catch (error) {
+    console.error('Compare error:', error);
+    document.getElementById('compareTitle').textContent = 'Conversation not available';
+    showNotice(`Could not load the conversation: ${error.message}`, true);
+  }
+});
+
+// Load the conversation from the archive when asked to, otherwise from claude.ai
+// Archiving it first keeps the version it replaces as a snapshot, so a changed conversation can be compared straight away
+async function getCompareConversation(conversationId) {
+  const archived = await getArchivedConversation(conversationId);
+  if (params.get('source') === 'archive') {
+    if (!archived) {
+      throw new Error('Conversation is not in the offline archive');
+    }
+    return archived;
+  }
+  
+  const orgId = params.get('org') || await new Promise((resolve) => {
+    chrome.storage.sync.get(['organizationId'], (result) => resolve(result.organizationId));
+  });
+  
+  try {
+    const data = await fetchConversation(orgId, conversationId);
+    await archiveConversation(orgId, data).catch(error => console.warn('Could not archive conversation:', error));
+    return data;
+  } catch (error) {
+    if (!archived) throw error;
+    showNotice(`Comparing the archived copy, claude.ai could not be reached: ${error.message}`);
+    return archived;
+  }
+}
+
+// Show a warning or error above the comparison
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('compareNotice');
+  notice.textContent = message;
+  notice.classList.toggle('error', isError);
+  notice.style.display = 'block';
+}
+
+// What can be compared in the chosen mode, each as a conversation whose current branch is the one to compare
+function getCompareChoices(mode) {
+  if (mode === 'snapshots') {
+    const date = (data) => new Date(data.updated_at).toLocaleString();
+    return [
+      ...snapshots.map(snapshot => ({
+        label: `Archived version of ${date(snapshot.data)} (${(snapshot.data.chat_messages || []).length} messages)`,
+        data: snapshot.data
+      })),
+      { label: `Latest, ${date(conversation)} (${(conversation.chat_messages || []).length} messages)`, data: conversation }
+    ];
+  }
+  
+  return getAllLeaves(buildMessageTree(conversation)).map((leaf, i) => {
+    const branch = getBranchToLeaf(conversation, leaf.uuid);
+    const lastPrompt = branch.filter(message => message.sender === 'human').pop();
+    return {
+      label: `Branch ${i + 1}: ${lastPrompt ? getMessagePreview(lastPrompt, 40) : 'no messages'}`,
+      data: { ...conversation, current_leaf_message_uuid: leaf.uuid },
+      current: leaf.uuid === conversation.current_leaf_message_uuid
+    };
+  });
+}
+
+// Fill both pickers for the chosen mode: B defaults to the current branch or the latest version, A to the one before it
+function fillCompareSelects() {
+  const mode = document.getElementById('compareMode').value;
+  const choices = getCompareChoices(mode);
+  const left = document.getElementById('leftSelect');
+  const right = document.getElementById('rightSelect');
+  
+  [left, right].forEach(select => {
+    select.innerHTML = '';
+    choices.forEach((choice, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = choice.current ? `${choice.label} (current)` : choice.label;
+      select.appendChild(option);
+    });
+  });
+  
+  if (choices.length < 2) {
+    comparison = null;
+    document.getElementById('compareBody').innerHTML = '';
+    document.getElementById('exportDiffBtn').disabled = true;
+    showNotice(mode === 'snapshots'
+      ? 'Only one version of this conversation is archived. An earlier version is kept each time the conversation is archived again after it changed.'
+      : 'This conversation has a single branch. Edit or regenerate a message on claude.ai to create another one.');
+    return;
+  }
+  
+  document.getElementById('compareNotice').style.display = 'none';
+  const currentIndex = choices.findIndex(choice => choice.current);
+  right.value = currentIndex > 0 ? currentIndex : choices.length - 1;
+  left.value = Number(right.value) - 1;
+  showComparison();
+}
+
+// Split the current branches of both sides into the messages they share and pairs of messages that differ
+// A message is shared when it is the same message with the same text, so a snapshot whose reply was still being written differs
+function compareBranches(left, right) {
+  const a = getCurrentBranch(left.data);
+  const b = getCurrentBranch(right.data);
+  let shared = 0;
+  while (shared < a.length && shared < b.length &&
+         a[shared].uuid === b[shared].uuid && getMessageText(a[shared]) === getMessageText(b[shared])) {
+    shared++;
+  }
+  
+  const pairs = [];
+  for (let i = shared; i < Math.max(a.length, b.length); i++) {
+    const before = a[i] || null;
+    const after = b[i] || null;
+    pairs.push({
+      position: i + 1,
+      left: before,
+      right: after,
+      diff: diffWords(before ? getMessageText(before) : '', after ? getMessageText(after) : '')
+    });
+  }
+  
+  return { left, right, shared: a.slice(0, shared), pairs };
+}
+
+// Split text into words, runs of whitespace and single punctuation marks
+function tokenizeForDiff(text) {
+  return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+// Word-level diff of two texts, as a list of { type: 'same' | 'removed' | 'added', text }
+function diffWords(before, after) {
+  const a = tokenizeForDiff(before);
+  const b = tokenizeForDiff(after);
+  const parts = [];
+  
+  // The common start and end are the same whatever the middle holds, and keep the table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  
+  parts.push({ type: 'same', text: a.slice(0, start).join('') });
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const width = midB.length + 1;
+  
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    parts.push({ type: 'removed', text: midA.join('') }, { type: 'added', text: midB.join('') });
+  } else {
+    // Longest common subsequence, filled from the end so the walk below can go forwards
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        parts.push({ type: 'same', text: midA[i++] });
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        parts.push({ type: 'removed', text: midA[i++] });
+      } else {
+        parts.push({ type: 'added', text: midB[j++] });
+      }
+    }
+    parts.push({ type: 'removed', text: midA.slice(i).join('') }, { type: 'added', text: midB.slice(j).join('') });
+  }
+  
+  parts.push({ type: 'same', text: a.slice(endA).join('') });
+  return groupDiffChanges(parts);
+}
+
+// Merge neighbouring parts, and join changes separated only by whitespace into one removal and one addition
+// "[-the cat-]{+a dog+}" reads better than "[-the-]{+a+} [-cat-]{+dog+}"
+function groupDiffChanges(parts) {
+  const grouped = [];
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    if (removed) grouped.push({ type: 'removed', text: removed });
+    if (added) grouped.push({ type: 'added', text: added });
+    removed = '';
+    added = '';
+  };
+  
+  const changes = parts.filter(part => part.text);
+  changes.forEach((part, i) => {
+    const next = changes[i + 1];
+    const bridge = part.type === 'same' && /^\s+$/.test(part.text) && (removed || added) && next && next.type !== 'same';
+    if (part.type === 'removed' || bridge) removed += part.text;
+    if (part.type === 'added' || bridge) added += part.text;
+    if (part.type !== 'same' || bridge) return;
+    
+    flush();
+    const last = grouped[grouped.length - 1];
+    if (last && last.type === 'same') {
+      last.text += part.text;
+    } else {
+      grouped.push({ ...part });
+    }
+  });
+  flush();
+  
+  return grouped;
+}
+
+// One side of a diff row: the message with the parts the other side doesn't have marked
+function renderDiffSide(message, diff, changeType) {
+  if (!message) {
+    return '<div class="diff-missing">No message here on this side</div>';
+  }
+  
+  const tag = changeType === 'removed' ? 'del' : 'ins';
+  const text = diff
+    .filter(part => part.type === 'same' || part.type === changeType)
+    .map(part => (part.type === 'same' ? escapeHtml(part.text) : `<${tag}>${escapeHtml(part.text)}</${tag}>`))
+    .join('');
+  const time = message.created_at
+    ? `<time datetime="${escapeHtml(message.created_at)}">${escapeHtml(new Date(message.created_at).toLocaleString())}</time>`
+    : '';
+  
+  return `<div class="message ${message.sender === 'human' ? 'human' : 'assistant'}">` +
+    `<div class="message-header"><span class="sender">${message.sender === 'human' ? 'You' : 'Claude'}</span>${time}</div>` +
+    `<div class="message-body diff-text">${text}</div></div>`;
+}
+
+// Compare the two picked sides and show the shared messages once, then the differences side by side
+function showComparison() {
+  const choices = getCompareChoices(document.getElementById('compareMode').value);
+  const left = choices[document.getElementById('leftSelect').value];
+  const right = choices[document.getElementById('rightSelect').value];
+  comparison = compareBranches(left, right);
+  
+  let html = '';
+  if (comparison.shared.length > 0) {
+    html += `<details class="shared"${comparison.pairs.length === 0 ? ' open' : ''}><summary>${comparison.shared.length} shared messages</summary><div class="chat">`;
+    comparison.shared.forEach(message => {
+      html += `<div class="message ${message.sender === 'human' ? 'human' : 'assistant'}">${renderMessageHtml(message, true, { citations: true })}</div>`;
+    });
+    html += '</div></details>';
+  }
+  
+  if (comparison.pairs.length === 0) {
+    html += '<h2>No differences: both sides have the same messages</h2>';
+  } else {
+    html += `<h2>${comparison.pairs.length} messages differ</h2>`;
+    html += `<div class="diff-row"><strong>A: ${escapeHtml(left.label)}</strong><strong>B: ${escapeHtml(right.label)}</strong></div>`;
+    comparison.pairs.forEach(pair => {
+      html += `<div class="diff-row">${renderDiffSide(pair.left, pair.diff, 'removed')}${renderDiffSide(pair.right, pair.diff, 'added')}</div>`;
+    });
+  }
+  
+  document.getElementById('compareBody').innerHTML = html;
+  document.getElementById('exportDiffBtn').disabled = false;
+}
+
+// Render a comparison as Markdown: the shared messages once, then each differing message from both sides
+// and a word diff in `git diff --word-diff` notation
+function convertComparisonToMarkdown(data, result, markdownSettings) {
+  const options = { citations: true, markdown: markdownSettings };
+  const style = getMarkdownStyle(options);
+  const label = (message) => (message.sender === 'human' ? style.humanLabel : style.assistantLabel);
+  
+  let markdown = `# Comparison: ${data.name || 'Untitled Conversation'}\n\n`;
+  markdown += `- **A:** ${result.left.label}\n`;
+  markdown += `- **B:** ${result.right.label}\n`;
+  markdown += `- **Shared messages:** ${result.shared.length}\n`;
+  markdown += `- **Differing messages:** ${result.pairs.length}\n\n`;
+  
+  if (result.shared.length > 0) {
+    markdown += '## Shared messages\n\n';
+    result.shared.forEach(message => {
+      markdown += renderMessageMarkdown(message, true, options);
+    });
+  }
+  
+  markdown += '## Differences\n\n';
+  if (result.pairs.length === 0) {
+    markdown += '_Both sides have the same messages._\n';
+  }
+  result.pairs.forEach(pair => {
+    const sender = label(pair.left || pair.right);
+    markdown += `### Message ${pair.position}: ${sender}\n\n`;
+    markdown += `#### A\n\n${pair.left ? getMessageText(pair.left).trim() || '_Empty message_' : '_No message_'}\n\n`;
+    markdown += `#### B\n\n${pair.right ? getMessageText(pair.right).trim() || '_Empty message_' : '_No message_'}\n\n`;
+    
+    const wordDiff = pair.diff.map(part => {
+      if (part.type === 'removed') return `[-${part.text}-]`;
+      if (part.type === 'added') return `{+${part.text}+}`;
+      return part.text;
+    }).join('');
+    markdown += `#### Word diff\n\n${fenceCode(wordDiff)}\n\n`;
+  });
+  
+  return markdown;
+}
+
+document.getElementById('compareMode').addEventListener('change', () => {
+  if (conversation) {
+    fillCompareSelects();
+  }
+});
+
+['leftSelect', 'rightSelect'].forEach(id => {
+  document.getElementById(id).addEventListener('change', showComparison);
+});
+
+document.getElementById('swapBtn').addEventListener('click', () => {
+  const left = document.getElementById('leftSelect');
+  const right = document.getElementById('rightSelect');
+  if (!comparison) return;
+  [left.value, right.value] = [right.value, left.value];
+  showComparison();
+});
+
+// Save the comparison shown, named after the conversation with the file naming settings from the options
+document.getElementById('exportDiffBtn').addEventListener('click', async () => {
+  if (!comparison) return;
+  try {
+    const markdown = convertComparisonToMarkdown(conversation, comparison, await getMarkdownSettings());
+    const baseName = getExportBaseName(conversation, await getFileNamingSettings(), { layout: false });
+    downloadFile(markdown, `${baseName}_compare.md`, 'text/markdown');
+  } catch (error) {
+    console.error('Export error:', error);
+    showNotice(`Export failed: ${error.message}`, true);
+  }
+});
@@ -0,0 +1,338 @@
+// Import page: reads earlier exports and claude.ai data exports, and exports them again in any format
+// Files are only read here; imported conversations are kept in memory and never sent anywhere
+
+const importedConversations = new Map(); // Conversation uuid -> { data, source }
+const selectedIds = new Set();
+
+// Bring a conversation from any supported file into the shape the API returns and the converters expect,
+// or null if the object is not a conversation
+// Our own JSON exports already are; claude.ai's data export has no message tree, only the messages in order
+function normalizeImportedConversation(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.chat_messages)) {
+    return null;
+  }
+  
+  const data = { ...raw, chat_messages: raw.chat_messages.map(message => ({ ...message })) };
+  data.uuid = data.uuid || crypto.randomUUID();
+  const messages = data.chat_messages;
+  
+  messages.forEach((message, i) => {
+    message.uuid = message.uuid || `${data.uuid}-${i}`;
+    // Older messages only have text; the converters read the content blocks
+    if ((!Array.isArray(message.content) || message.content.length === 0) && message.text) {
+      message.content = [{ type: 'text', text: message.text }];
+    }
+  });
+  
+  // Without parent links every message is a root, so chain them into one branch
+  if (!messages.some(message => message.parent_message_uuid)) {
+    messages.forEach((message, i) => {
+      message.parent_message_uuid = i > 0 ? messages[i - 1].uuid : null;
+    });
+  }
+  
+  if (!messages.some(message => message.uuid === data.current_leaf_message_uuid)) {
+    const leaves = getAllLeaves(buildMessageTree(data));
+    data.current_leaf_message_uuid = leaves.length > 0 ? leaves[leaves.length - 1].uuid : null;
+  }
+  
+  data.model = inferModel(data);
+  return data;
+}
+
+// Conversations in the text of a JSON file: one export, a list of them, or claude.ai's conversations.json
+function parseImportJson(text) {
+  const parsed = JSON.parse(text);
+  return (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeImportedConversation).filter(Boolean);
+}
+
+// Conversations in a picked or dropped file; ZIPs are searched for JSON files that hold conversations,
+// which bulk exports in other formats keep under data/
+async function readImportFile(file) {
+  if (!/\.zip$/i.test(file.name)) {
+    return parseImportJson(await file.text()).map(data => ({ data, source: file.name }));
+  }
+  
+  const zip = await JSZip.loadAsync(file);
+  const found = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || !/\.json$/i.test(entry.name)) continue;
+    try {
+      parseImportJson(await entry.async('string')).forEach(data => found.push({ data, source: `${file.name}/${entry.name}` }));
+    } catch (error) {
+      // Artifacts and other files that merely end in .json
+      console.warn(`Skipping ${entry.name}:`, error);
+    }
+  }
+  return found;
+}
+
+// Import files, keeping the most complete copy of conversations found more than once
+async function importFiles(files) {
+  const log = document.getElementById('importLog');
+  
+  for (const file of files) {
+    const item = document.createElement('li');
+    try {
+      const found = await readImportFile(file);
+      if (found.length === 0) {
+        throw new Error('No conversations found');
+      }
+      
+      found.forEach(entry => {
+        const existing = importedConversations.get(entry.data.uuid);
+        if (!existing ||
+            entry.data.chat_messages.length > existing.data.chat_messages.length ||
+            (entry.data.updated_at || '') > (existing.data.updated_at || '')) {
+          importedConversations.set(entry.data.uuid, entry);
+        }
+      });
+      item.textContent = `${file.name}: ${found.length} conversation${found.length === 1 ? '' : 's'}`;
+      
+    } catch (error) {
+      console.error(`Import of ${file.name} failed:`, error);
+      item.textContent = `${file.name}: ${error.message}`;
+      item.className = 'error';
+    }
+    log.appendChild(item);
+  }
+  
+  showImported();
+}
+
+// Imported conversations matching the name filter, most recently updated first
+function getShownConversations() {
+  const query = document.getElementById('importSearch').value.trim().toLowerCase();
+  return [...importedConversations.values()]
+    .filter(({ data }) => !query || (data.name || '').toLowerCase().includes(query))
+    .sort((a, b) => (b.data.updated_at || '').localeCompare(a.data.updated_at || ''));
+}
+
+// List the imported conversations
+function showImported() {
+  const shown = getShownConversations();
+  const table = document.getElementById('importTable');
+  table.hidden = importedConversations.size === 0;
+  document.getElementById('dropZone').hidden = importedConversations.size > 0;
+  
+  let html = `
+    <table>
+      <thead>
+        <tr>
+          <th class="select-col"><input type="checkbox" id="selectAllShown" title="Select all shown"></th>
+          <th>Name</th>
+          <th>Updated</th>
+          <th>Created</th>
+          <th>Model</th>
+          <th>Messages</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  
+  shown.forEach(({ data, source }) => {
+    const selected = selectedIds.has(data.uuid);
+    const date = value => (value ? new Date(value).toLocaleDateString() : '');
+    html += `
+        <tr data-id="${escapeHtml(data.uuid)}"${selected ? ' class="selected"' : ''}>
+          <td class="select-col"><input type="checkbox" class="row-select" data-id="${escapeHtml(data.uuid)}"${selected ? ' checked' : ''}></td>
+          <td>
+            <div class="conversation-name" title="${escapeHtml(data.name || '')}">${escapeHtml(data.name || 'Untitled Conversation')}</div>
+            <div class="import-source">${escapeHtml(source)}</div>
+          </td>
+          <td class="date">${date(data.updated_at)}</td>
+          <td class="date">${date(data.created_at)}</td>
+          <td><span class="model-badge ${getModelBadgeClass(data.model)}">${escapeHtml(formatModelName(data.model))}</span></td>
+          <td>${data.chat_messages.length}</td>
+          <td>
+            <div class="actions">
+              <button class="btn-small btn-export" data-id="${escapeHtml(data.uuid)}">Export</button>
+              <button class="btn-small btn-view" data-id="${escapeHtml(data.uuid)}">View</button>
+            </div>
+          </td>
+        </tr>
+    `;
+  });
+  
+  html += `
+      </tbody>
+    </table>
+  `;
+  table.innerHTML = html;
+  
+  table.querySelectorAll('.row-select').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        selectedIds.add(e.target.dataset.id);
+      } else {
+        selectedIds.delete(e.target.dataset.id);
+      }
+      e.target.closest('tr').classList.toggle('selected', e.target.checked);
+      updateImportStats();
+    });
+  });
+  document.getElementById('selectAllShown').addEventListener('change', (e) => {
+    shown.forEach(({ data }) => {
+      if (e.target.checked) {
+        selectedIds.add(data.uuid);
+      } else {
+        selectedIds.delete(data.uuid);
+      }
+    });
+    showImported();
+  });
+  table.querySelectorAll('.btn-export').forEach(button => {
+    button.addEventListener('click', (e) => exportImported([importedConversations.get(e.target.dataset.id).data]));
+  });
+  table.querySelectorAll('.btn-view').forEach(button => {
+    button.addEventListener('click', (e) => viewImported(importedConversations.get(e.target.dataset.id).data));
+  });
+  
+  document.getElementById('selectAllShown').checked = shown.length > 0 && shown.every(({ data }) => selectedIds.has(data.uuid));
+  updateImportStats();
+}
+
+// Count the imported and selected conversations
+function updateImportStats() {
+  const shown = getShownConversations().length;
+  let stats = `${importedConversations.size} conversations imported`;
+  if (shown !== importedConversations.size) {
+    stats += `, ${shown} shown`;
+  }
+  if (selectedIds.size > 0) {
+    stats += `, ${selectedIds.size} selected`;
+  }
+  document.getElementById('importStats').textContent = importedConversations.size > 0 ? stats : '';
+  document.getElementById('exportSelectedBtn').disabled = selectedIds.size === 0;
+}
+
+// Collect the export options; attachments can't be downloaded without the original account
+function getExportOptions() {
+  return {
+    allBranches: document.getElementById('allBranches').checked,
+    toolUse: document.getElementById('includeToolUse').checked,
+    toolResults: document.getElementById('includeToolResults').checked,
+    citations: document.getElementById('includeCitations').checked,
+    thinking: document.getElementById('includeThinking').checked,
+    artifacts: document.getElementById('exportArtifacts').checked,
+    mergeConsecutive: document.getElementById('mergeConsecutive').checked,
+    stripTools: document.getElementById('stripTools').checked,
+    truncateTokens: Number(document.getElementById('truncateTokens').value) || 0
+  };
+}
+
+// Export one conversation as a file, or several as one ZIP, named by the settings in the options
+async function exportImported(conversations) {
+  const format = document.getElementById('exportFormat').value;
+  const includeMetadata = document.getElementById('includeMetadata').checked;
+  const options = getExportOptions();
+  const naming = await getFileNamingSettings();
+  if (format === 'markdown') {
+    options.markdown = await getMarkdownSettings();
+  }
+  
+  try {
+    if (conversations.length === 1) {
+      const baseName = getExportBaseName(conversations[0], naming, { layout: false });
+      const files = await buildConversationFiles(conversations[0], format, includeMetadata, options, baseName);
+      await downloadConversationFiles(files, baseName);
+      showToast(`Exported: ${conversations[0].name || 'Untitled Conversation'}${files[0].warning ? `. ${files[0].warning}` : ''}`, Boolean(files[0].warning));
+      return;
+    }
+    
+    showToast(`Exporting ${conversations.length} conversations...`);
+    const zip = new JSZip();
+    const zipExport = createZipExport(zip, { format, includeMetadata, options, naming });
+    const failedConversations = [];
+    for (const data of conversations) {
+      try {
+        await zipExport.add(data);
+      } catch (error) {
+        console.error(`Failed to export ${data.name}:`, error);
+        failedConversations.push({ uuid: data.uuid, name: data.name, updated_at: data.updated_at, error: error.message, kind: 'export' });
+      }
+    }
+    zipExport.finish();
+    
+    zip.file('export_summary.json', JSON.stringify({
+      export_date: new Date().toISOString(),
+      total_conversations: conversations.length,
+      successful_exports: conversations.length - failedConversations.length,
+      failed_exports: failedConversations.length,
+      failed_conversations: failedConversations,
+      warnings: zipExport.warnings,
+      format,
+      include_metadata: includeMetadata,
+      options,
+      sync_mode: 'import'
+    }, null, 2));
+    
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    downloadFile(blob, `claude-imported-conversations-${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+    const failed = failedConversations.length ? ` (${failedConversations.length} failed)` : '';
+    const warned = describeExportWarnings({ warnings: zipExport.warnings });
+    showToast(`Exported ${conversations.length - failedConversations.length} conversations${failed}${warned}`, failedConversations.length > 0 || Boolean(warned));
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    showToast(`Failed to export: ${error.message}`, true);
+  }
+}
+
+// Open an imported conversation in the reader
+// Imported conversations aren't archived, so the reader asks this page for them (see the message listener below)
+function viewImported(data) {
+  window.open(`reader.html?source=import&id=${encodeURIComponent(data.uuid)}`, '_blank');
+}
+
+// Hand imported conversations to the readers opened from this page
+window.addEventListener('message', (event) => {
+  if (event.origin !== location.origin || event.data?.action !== 'getImportedConversation') return;
+  const entry = importedConversations.get(event.data.id);
+  event.source.postMessage({ action: 'importedConversation', id: event.data.id, data: entry?.data || null }, location.origin);
+});
+
+// Show toast notification
+function showToast(message, isError = false) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.style.background = isError ? '#d32f2f' : '#333';
+  toast.classList.add('show');
+  
+  setTimeout(() => {
+    toast.classList.remove('show');
+  }, 3000);
+}
+
+document.getElementById('chooseFilesBtn').addEventListener('click', () => {
+  document.getElementById('importFiles').click();
+});
+
+document.getElementById('importFiles').addEventListener('change', async (e) => {
+  await importFiles([...e.target.files]);
+  e.target.value = '';
+});
+
+// Files can be dropped anywhere on the page
+document.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  document.body.classList.add('dragging');
+});
+document.addEventListener('dragleave', (e) => {
+  if (!e.relatedTarget) {
+    document.body.classList.remove('dragging');
+  }
+});
+document.addEventListener('drop', (e) => {
+  e.preventDefault();
+  document.body.classList.remove('dragging');
+  importFiles([...e.dataTransfer.files]);
+});
+
+document.getElementById('importSearch').addEventListener('input', showImported);
+
+document.getElementById('exportSelectedBtn').addEventListener('click', () => {
+  const conversations = [...selectedIds].map(uuid => importedConversations.get(uuid).data);
+  exportImported(conversations);
+});
@@ -0,0 +1,306 @@
+// Persisted bulk export jobs
+// Every exported conversation is checkpointed in IndexedDB, and its payload is already in the archive,
+// so an interrupted export resumes where it stopped instead of fetching everything again
+// Needs api.js, utils.js, archive.js and JSZip; nothing here touches the DOM or chrome.storage,
+// which the offscreen document that runs jobs doesn't have
+
+// Create and save a job for a list of conversation summaries
+// sync: { mode, previous_sync, deleted_conversations } as recorded in export_summary.json,
+// plus the manifest scope ('sync' or 'backup') the export continues from
+// folder: Downloads subfolder to save in, or null for the one set in the options
+// project: { uuid, name } to export a Project with its instructions and knowledge, conversations going under conversations/
+// settings: the file naming settings and Markdown preset from getJobSettings(), stored with the job so a resumed export looks the same
+async function createExportJob({ orgId, source, format, includeMetadata, options, settings, conversations, sync, fileName, folder = null, project = null }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `export-${Date.now()}`,
+    org_uuid: orgId,
+    source,
+    status: 'pending',
+    created_at: now,
+    updated_at: now,
+    format,
+    include_metadata: includeMetadata,
+    options: format === 'markdown' && !options.markdown ? { ...options, markdown: settings.markdown } : options,
+    naming: settings.naming,
+    sync: { manifest: 'sync', ...sync },
+    folder,
+    project,
+    file_name: fileName || `claude-conversations-${now.split('T')[0]}.zip`,
+    conversations: conversations.map(conv => ({
+      uuid: conv.uuid,
+      name: conv.name,
+      model: conv.model,
+      created_at: conv.created_at,
+      updated_at: conv.updated_at
+    }))
+  };
+  await saveExportJob(job);
+  return job;
+}
+
+// Save a job's settings and status
+async function saveExportJob(job) {
+  const db = await openArchive();
+  const transaction = db.transaction('export_jobs', 'readwrite');
+  transaction.objectStore('export_jobs').put({ ...job, updated_at: new Date().toISOString() });
+  await transactionDone(transaction);
+}
+
+// Get a job by id
+async function getExportJob(jobId) {
+  const db = await openArchive();
+  return requestToPromise(db.transaction('export_jobs').objectStore('export_jobs').get(jobId));
+}
+
+// Jobs of an organization that were interrupted, paused or are still running, newest first
+async function listResumableExportJobs(orgId) {
+  const db = await openArchive();
+  const jobs = await requestToPromise(db.transaction('export_jobs').objectStore('export_jobs').getAll());
+  return jobs
+    .filter(job => job.org_uuid === orgId && job.status !== 'completed')
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Checkpoints of a job, by conversation uuid
+async function getExportJobItems(jobId) {
+  const db = await openArchive();
+  const index = db.transaction('export_job_items').objectStore('export_job_items').index('job_id');
+  const items = await requestToPromise(index.getAll(jobId));
+  return new Map(items.map(item => [item.uuid, item]));
+}
+
+// Record that a conversation of a job was exported or failed
+async function checkpointExportItem(jobId, uuid, status, error = null) {
+  const db = await openArchive();
+  const transaction = db.transaction('export_job_items', 'readwrite');
+  transaction.objectStore('export_job_items').put({
+    job_id: jobId,
+    uuid,
+    status,
+    error: error ? error.message : null,
+    kind: error ? error.kind || 'export' : null
+  });
+  await transactionDone(transaction);
+}
+
+// Remove a job and its checkpoints
+async function deleteExportJob(jobId) {
+  const db = await openArchive();
+  const transaction = db.transaction(['export_jobs', 'export_job_items'], 'readwrite');
+  transaction.objectStore('export_jobs').delete(jobId);
+  const items = transaction.objectStore('export_job_items');
+  const keys = await requestToPromise(items.index('job_id').getAllKeys(jobId));
+  keys.forEach(key => items.delete(key));
+  await transactionDone(transaction);
+}
+
+// Get a conversation for a job: checkpointed ones come from the archive,
+// the rest are fetched and archived before they count as done
+async function getJobConversation(job, conv, checkpoint, signal) {
+  if (job.source === 'archive' || (checkpoint && checkpoint.status === 'done')) {
+    const data = await getArchivedConversation(conv.uuid);
+    if (data) {
+      return { data, archived: true };
+    }
+    if (job.source === 'archive') {
+      throw new Error('Conversation is not in the offline archive');
+    }
+  }
+  
+  const data = await fetchConversation(job.org_uuid, conv.uuid, { signal });
+  let archived = true;
+  try {
+    await archiveConversation(job.org_uuid, data);
+  } catch (error) {
+    console.warn('Could not archive conversation:', error);
+    archived = false;
+  }
+  return { data, archived };
+}
+
+// Add a Project's details, custom instructions and knowledge documents to its export
+// Resolves with the number of knowledge documents
+async function addProjectFiles(zip, job, signal) {
+  const project = await fetchProject(job.org_uuid, job.project.uuid, { signal });
+  const docs = await listProjectDocs(job.org_uuid, job.project.uuid, { signal });
+  
+  let instructions = `# ${project.name || job.project.name}\n\n`;
+  if (project.description) {
+    instructions += `${project.description}\n\n`;
+  }
+  instructions += `## Instructions\n\n${project.prompt_template || '_No custom instructions_'}\n`;
+  zip.file('instructions.md', instructions);
+  
+  // Knowledge documents keep their file names; duplicates get a number
+  const dedupePath = createPathDeduplicator();
+  const knowledge = docs.map(doc => {
+    const [, name, extension] = (sanitizeFilename(doc.file_name) || sanitizeFilename(doc.uuid)).match(/^(.+?)(\.[^.]*)?$/);
+    const path = dedupePath(`knowledge/${name}`, extension || '');
+    zip.file(path, doc.content || '');
+    return { uuid: doc.uuid, file_name: doc.file_name, path, created_at: doc.created_at };
+  });
+  
+  zip.file('project.json', JSON.stringify({ ...project, knowledge }, null, 2));
+  return knowledge.length;
+}
+
+// Project names by uuid, when the job's file names or folders need them
+// Conversations only carry their project's uuid; without the list, names fall back to a short id
+async function getJobProjectNames(job, naming) {
+  if (job.project || (naming.layout !== 'project' && !naming.template.includes('{project}'))) {
+    return new Map();
+  }
+  try {
+    const projects = await listProjects(job.org_uuid);
+    return new Map(projects.map(project => [project.uuid, project.name]));
+  } catch (error) {
+    console.warn('Could not load project names:', error);
+    return new Map();
+  }
+}
+
+// Run a job, or resume it from its checkpoints
+// manifest is the stored sync manifest of the job's scope, which the exported conversations are added to
+// onProgress receives { completed, failed, total } after every conversation
+// Resolves with { cancelled: true } when the signal aborts (the job stays resumable),
+// otherwise with the filled ZIP, the export summary and the updated sync manifest for the caller to save
+async function runExportJob(job, { manifest: previousManifest, signal, onProgress = () => {} } = {}) {
+  const checkpoints = await getExportJobItems(job.id);
+  const resumed = checkpoints.size > 0;
+  job.status = 'running';
+  await saveExportJob(job);
+  
+  // An expired session fails every remaining request, so the job stops early and stays resumable
+  const controller = new AbortController();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  let authError = null;
+  
+  const zip = new JSZip();
+  const total = job.conversations.length;
+  const exportedConversations = [];
+  const failedConversations = [];
+  
+  // Paths follow the job's file naming settings; jobs created before those existed use the defaults
+  // Project exports start with the project's own files; conversations go in a subfolder
+  const naming = job.naming || DEFAULT_FILE_NAMING;
+  const projectNames = await getJobProjectNames(job, naming);
+  const zipExport = createZipExport(zip, {
+    format: job.format,
+    includeMetadata: job.include_metadata,
+    options: job.options,
+    naming,
+    folder: job.project ? 'conversations/' : ''
+  });
+  // Exports from the archive don't need claude.ai for their conversations, so a project whose files
+  // can't be fetched (offline, signed out) is noted in the summary instead of stopping the export
+  let projectError = null;
+  if (job.project) {
+    try {
+      await addProjectFiles(zip, job, controller.signal);
+    } catch (error) {
+      if (error.kind === 'aborted' || (error.kind === 'auth' && job.source !== 'archive')) {
+        authError = error.kind === 'auth' ? error : null;
+        controller.abort();
+      } else {
+        console.error('Failed to export project files:', error);
+        projectError = error.message;
+      }
+    }
+  }
+  
+  await forEachConcurrent(job.conversations, async (conv) => {
+    try {
+      const { data, archived } = await getJobConversation(job, conv, checkpoints.get(conv.uuid), controller.signal);
+      
+      // Infer model if null
+      data.model = inferModel(data);
+      if (job.project && !data.project?.name) {
+        data.project = { uuid: job.project.uuid, name: job.project.name };
+      } else if (data.project_uuid && !data.project?.name && projectNames.has(data.project_uuid)) {
+        data.project = { uuid: data.project_uuid, name: projectNames.get(data.project_uuid) };
+      }
+      
+      // Generate the conversation file and any extracted artifacts
+      await zipExport.add(data, conv);
+      exportedConversations.push(conv);
+      
+      // Only conversations that can be rebuilt from the archive count as checkpointed
+      if (archived) {
+        await checkpointExportItem(job.id, conv.uuid, 'done');
+      }
+      
+    } catch (error) {
+      if (error.kind === 'aborted') return;
+      if (error.kind === 'auth') {
+        authError = error;
+        controller.abort();
+        return;
+      }
+      
+      console.error(`Failed to export ${conv.name}:`, error);
+      failedConversations.push({ uuid: conv.uuid, name: conv.name, updated_at: conv.updated_at, error: error.message, kind: error.kind || 'export' });
+      await checkpointExportItem(job.id, conv.uuid, 'failed', error);
+    }
+    
+    onProgress({ completed: exportedConversations.length, failed: failedConversations.length, total });
+  }, { signal: controller.signal });
+  
+  if (authError || controller.signal.aborted) {
+    job.status = 'paused';
+    await saveExportJob(job);
+    if (authError) {
+      throw authError;
+    }
+    return { cancelled: true };
+  }
+  
+  // Add a summary file
+  const summary = {
+    export_date: new Date().toISOString(),
+    total_conversations: total,
+    successful_exports: exportedConversations.length,
+    failed_exports: failedConversations.length,
+    failed_conversations: failedConversations,
+    warnings: zipExport.warnings,
+    format: job.format,
+    include_metadata: job.include_metadata,
+    options: job.options,
+    sync_mode: job.sync.mode,
+    previous_sync: job.sync.previous_sync,
+    deleted_conversations: job.sync.deleted_conversations,
+    resumed
+  };
+  if (job.project) {
+    summary.project = { ...job.project, error: projectError };
+  }
+  zip.file('export_summary.json', JSON.stringify(summary, null, 2));
+  
+  // Record what was exported so the next sync continues from here
+  const manifest = updateSyncManifest(previousManifest, exportedConversations, job.sync.deleted_conversations);
+  zip.file('sync_manifest.json', JSON.stringify(manifest, null, 2));
+  zipExport.finish();
+  
+  return { zip, summary, manifest };
+}
+
+// Pick the conversations listed as failed in an export_summary.json
+// Older summaries only list names, which are matched against the known conversations;
+// unknown ones keep the updated_at their entry recorded, if any
+function getFailedConversations(summary, conversations) {
+  if (!summary || !Array.isArray(summary.failed_conversations)) {
+    throw new Error('Not an export summary');
+  }
+  
+  return summary.failed_conversations
+    .map(entry => {
+      if (typeof entry === 'string') {
+        return conversations.find(conv => conv.name === entry);
+      }
+      return conversations.find(conv => conv.uuid === entry.uuid) || { uuid: entry.uuid, name: entry.name, updated_at: entry.updated_at };
+    })
+    .filter(Boolean);
+}
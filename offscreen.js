@@ -0,0 +1,161 @@
+// Runs bulk export jobs for the background service worker
+// The worker has no DOM and can't create Blob URLs, which chrome.downloads needs for large ZIPs,
+// so fetching, converting and zipping happen here while background.js owns the queue and the download
+// Offscreen documents only have chrome.runtime: background.js passes the job settings and sync manifest
+// with every export and saves the updated manifest
+
+const exportControllers = new Map(); // Job id -> AbortController of the running export
+
+// Tell every extension page (background, popup, browse) how an export is doing
+function broadcastExport(action, details) {
+  chrome.runtime.sendMessage({ action, ...details }).catch(() => {});
+}
+
+// Have background.js keep an organization's sync manifest
+async function storeSyncManifest(orgId, manifest, scope) {
+  const response = await chrome.runtime.sendMessage({ action: 'saveSyncManifest', orgId, manifest, scope });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not save the sync manifest');
+  }
+}
+
+// Create a job for all (or only changed) conversations of an organization, as the popup or a scheduled backup requests it
+// Backups pass filters ({ model, starredOnly }), their own manifest scope, file name and folder
+// settings holds the job settings and the stored manifest of that scope
+// Resolves with null when there is nothing to export
+async function createOrganizationJob(request, settings) {
+  const conversations = (await listConversations(request.orgId)).map(conv => ({ ...conv, model: inferModel(conv) }));
+  
+  // Flag archived conversations that have since been deleted on claude.ai
+  markDeletedConversations(request.orgId, conversations.map(conv => conv.uuid))
+    .catch(error => console.warn('Could not update the archive:', error));
+  
+  // In sync mode, only export what changed since the last run
+  const scope = request.manifest || 'sync';
+  const manifest = settings.manifest;
+  const diff = diffSyncManifest(conversations, manifest);
+  const filters = request.filters || {};
+  const toExport = (request.sinceLastSync ? diff.changed : conversations)
+    .filter(conv => (!filters.model || conv.model === filters.model) && (!filters.starredOnly || conv.is_starred));
+  if (toExport.length === 0) {
+    if (request.sinceLastSync) {
+      await storeSyncManifest(request.orgId, updateSyncManifest(manifest, [], diff.deleted), scope);
+    }
+    return null;
+  }
+  
+  const date = new Date().toISOString().split('T')[0];
+  return createExportJob({
+    orgId: request.orgId,
+    source: 'online',
+    format: request.format,
+    includeMetadata: request.includeMetadata,
+    options: request.options,
+    settings,
+    conversations: toExport,
+    sync: {
+      mode: request.sinceLastSync ? 'changes_since_last_sync' : 'full',
+      manifest: scope,
+      previous_sync: manifest.last_sync,
+      deleted_conversations: diff.deleted
+    },
+    fileName: request.fileName || (request.orgName
+      ? `claude-${sanitizeFilename(request.orgName)}-conversations-${date}.zip`
+      : `claude-conversations-${date}.zip`),
+    folder: request.folder
+  });
+}
+
+// Run one queued export: an existing job (browse page, resume) or a new one for an organization (popup)
+// settings: { naming, markdown, manifest } that background.js read for it
+async function runQueuedExport(entry, settings) {
+  let job = null;
+  let backup = false;
+  
+  try {
+    job = entry.jobId ? await getExportJob(entry.jobId) : await createOrganizationJob(entry.request, settings);
+    backup = job ? job.sync.manifest === 'backup' : entry.request?.manifest === 'backup';
+    if (!job) {
+      const message = entry.jobId
+        ? 'That export no longer exists'
+        : entry.request.sinceLastSync ? `No changes since the last ${backup ? 'backup' : 'sync'}` : 'No conversations to export';
+      broadcastExport('exportFinished', { jobId: entry.jobId || null, backup, message });
+      return;
+    }
+    
+    const controller = new AbortController();
+    exportControllers.set(job.id, controller);
+    const label = entry.request?.label || entry.request?.orgName || 'Export';
+    const total = job.conversations.length;
+    
+    const result = await runExportJob(job, {
+      manifest: settings.manifest,
+      signal: controller.signal,
+      onProgress: ({ completed, failed }) => {
+        broadcastExport('exportProgress', { jobId: job.id, label, phase: 'fetch', completed, failed, total });
+      }
+    });
+    
+    if (result.cancelled) {
+      broadcastExport('exportFinished', { jobId: job.id, backup, cancelled: true });
+      return;
+    }
+    
+    let zipPercent = -1;
+    const blob = await result.zip.generateAsync({
+      type: 'blob',
+      compression: 'DEFLATE',
+      compressionOptions: {
+        level: 6 // Medium compression
+      }
+    }, (metadata) => {
+      // JSZip reports every file; only pass on whole percent steps
+      const percent = Math.round(metadata.percent);
+      if (percent === zipPercent) return;
+      zipPercent = percent;
+      broadcastExport('exportProgress', { jobId: job.id, label, phase: 'zip', percent, total });
+    });
+    
+    // The background worker saves the file; the URL is revoked once the download has finished
+    const url = URL.createObjectURL(blob);
+    // A backup replaces the older backup files only if it holds every conversation
+    const fullBackup = backup && job.sync.mode === 'full' && result.summary.failed_exports === 0;
+    const saved = await chrome.runtime.sendMessage({ action: 'saveExport', jobId: job.id, url, fileName: job.file_name, folder: job.folder, backup, fullBackup });
+    if (!saved?.success) {
+      URL.revokeObjectURL(url);
+      throw new Error(saved?.error || 'Could not save the export');
+    }
+    
+    // Keep the sync manifest, then drop the checkpoints
+    await storeSyncManifest(job.org_uuid, result.manifest, job.sync.manifest);
+    await deleteExportJob(job.id);
+    broadcastExport('exportFinished', { jobId: job.id, backup, summary: result.summary, fileName: saved.fileName });
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    broadcastExport('exportFinished', { jobId: job?.id || entry.jobId || null, backup, error: error.message, errorKind: error.kind || null });
+  } finally {
+    if (job) {
+      exportControllers.delete(job.id);
+    }
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  if (request.action === 'runExport') {
+    runQueuedExport(request.entry, request.settings);
+    sendResponse({ success: true });
+  }
+
+  if (request.action === 'cancelExport') {
+    exportControllers.get(request.jobId)?.abort();
+    sendResponse({ success: true });
+  }
+
+  if (request.action === 'releaseExport') {
+    URL.revokeObjectURL(request.url);
+    sendResponse({ success: true });
+  }
+});
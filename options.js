@@ -1,14 +1,49 @@
 // Load saved settings
 document.addEventListener('DOMContentLoaded', () => {
-  chrome.storage.sync.get(['organizationId'], (result) => {
+  chrome.storage.sync.get(['organizationId', 'downloadFolder'], (result) => {
     if (result.organizationId) {
       document.getElementById('orgId').value = result.organizationId;
-      showStatus('status', 'Organization ID loaded from saved settings', 'success');
-      setTimeout(() => hideStatus('status'), 2000);
     }
+    document.getElementById('downloadFolder').value = result.downloadFolder || '';
+    loadOrganizationList();
   });
+  loadBackupSettings();
+  loadFileNamingSettings();
+  loadMarkdownPresets();
 });
 
+// Detect the user's organizations on claude.ai and list them by name
+async function loadOrganizationList() {
+  showStatus('status', 'Detecting your organizations...', 'success');
+  
+  try {
+    const organizations = await discoverOrganizations();
+    const orgId = await new Promise((resolve) => {
+      chrome.storage.sync.get(['organizationId'], (result) => resolve(result.organizationId));
+    });
+    
+    populateOrganizationSelect(document.getElementById('orgSelect'), organizations, orgId);
+    document.getElementById('orgId').value = orgId || '';
+    
+    if (organizations.length === 0) {
+      throw new Error('No organizations with chat access were found');
+    }
+    showStatus('status', `Found ${organizations.length} organization${organizations.length === 1 ? '' : 's'}`, 'success');
+    setTimeout(() => hideStatus('status'), 2000);
+  } catch (error) {
+    document.getElementById('manualOrg').open = true;
+    showStatus('status', `Could not detect organizations: ${error.message} You can enter the Organization ID manually.`, 'error');
+  }
+}
+
+// Picking an organization fills in its ID
+document.getElementById('orgSelect').addEventListener('change', (e) => {
+  document.getElementById('orgId').value = e.target.value;
+});
+
+// Detect organizations again, e.g. after logging in or joining a Team
+document.getElementById('refreshOrgsBtn').addEventListener('click', loadOrganizationList);
+
 // Save settings
 document.getElementById('saveBtn').addEventListener('click', () => {
   const orgId = document.getElementById('orgId').value.trim();
@@ -30,6 +65,204 @@ document.getElementById('saveBtn').addEventListener('click', () => {
   });
 });
 
+// Save the Downloads subfolder for bulk exports
+document.getElementById('saveDownloadsBtn').addEventListener('click', () => {
+  const folder = normalizeDownloadFolder(document.getElementById('downloadFolder').value);
+  
+  document.getElementById('downloadFolder').value = folder;
+  chrome.storage.sync.set({ downloadFolder: folder }, () => {
+    showStatus('downloadsStatus', folder ? `Bulk exports will be saved in Downloads/${folder}` : 'Bulk exports will be saved in Downloads', 'success');
+  });
+});
+
+// A made-up conversation to preview file names with
+const PREVIEW_CONVERSATION = {
+  uuid: '1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d',
+  name: 'Recursion: a "quick" question?',
+  model: 'claude-sonnet-4-20250514',
+  created_at: '2025-05-02T09:30:00Z',
+  updated_at: '2025-05-03T17:45:00Z',
+  project: { name: 'Algorithms' }
+};
+
+// Fill in the file naming section
+async function loadFileNamingSettings() {
+  const naming = await getFileNamingSettings();
+  document.getElementById('fileNameTemplate').value = naming.template;
+  document.getElementById('folderLayout').value = naming.layout;
+  updateFileNamePreview();
+}
+
+// The naming settings as currently entered
+function getEnteredFileNaming() {
+  return {
+    template: document.getElementById('fileNameTemplate').value.trim() || DEFAULT_FILE_NAMING.template,
+    layout: document.getElementById('folderLayout').value
+  };
+}
+
+// Show what a Markdown export of the example conversation would be called
+function updateFileNamePreview() {
+  document.getElementById('fileNamePreview').textContent = `${getExportBaseName(PREVIEW_CONVERSATION, getEnteredFileNaming())}.md`;
+}
+
+document.getElementById('fileNameTemplate').addEventListener('input', updateFileNamePreview);
+document.getElementById('folderLayout').addEventListener('change', updateFileNamePreview);
+
+// Save the file naming settings; they apply to exports started afterwards
+document.getElementById('saveNamingBtn').addEventListener('click', () => {
+  const naming = getEnteredFileNaming();
+  const unknown = [...naming.template.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(token => token !== 'ext' && !FILE_NAME_TOKENS[token]);
+  if (unknown.length > 0) {
+    showStatus('namingStatus', `Unknown token: {${unknown[0]}}`, 'error');
+    return;
+  }
+  
+  document.getElementById('fileNameTemplate').value = naming.template;
+  chrome.storage.sync.set({ fileNaming: naming }, () => {
+    showStatus('namingStatus', 'File names saved', 'success');
+  });
+});
+
+// Fill in the Markdown section, selecting the preset exports use
+async function loadMarkdownPresets(selected) {
+  const { presets, active } = await getMarkdownPresets();
+  const select = document.getElementById('markdownPreset');
+  select.innerHTML = '';
+  Object.keys(presets).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = BUILT_IN_MARKDOWN_PRESETS[name] ? `${name} (built-in)` : name;
+    select.appendChild(option);
+  });
+  select.value = selected || active;
+  showMarkdownPreset(presets[select.value]);
+}
+
+// Show a preset's settings in the form
+function showMarkdownPreset(preset) {
+  const settings = { ...DEFAULT_MARKDOWN_SETTINGS, ...preset };
+  document.getElementById('mdFrontmatter').checked = settings.frontmatter;
+  document.getElementById('mdTags').value = settings.tags;
+  document.getElementById('mdHumanLabel').value = settings.humanLabel;
+  document.getElementById('mdAssistantLabel').value = settings.assistantLabel;
+  document.getElementById('mdTurnStyle').value = settings.turnStyle;
+  document.getElementById('mdTimestamps').value = settings.timestamps;
+  document.getElementById('mdWikiLinks').checked = settings.wikiLinks;
+  
+  const name = document.getElementById('markdownPreset').value;
+  document.getElementById('mdPresetName').value = BUILT_IN_MARKDOWN_PRESETS[name] ? '' : name;
+  document.getElementById('deleteMarkdownPresetBtn').disabled = Boolean(BUILT_IN_MARKDOWN_PRESETS[name]);
+}
+
+// The user's own presets, without the built-in ones
+async function getSavedMarkdownPresets() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['markdownPresets'], (result) => resolve(result.markdownPresets || {}));
+  });
+}
+
+// Picking a preset makes exports use it
+document.getElementById('markdownPreset').addEventListener('change', async (e) => {
+  const { presets } = await getMarkdownPresets();
+  showMarkdownPreset(presets[e.target.value]);
+  chrome.storage.sync.set({ markdownPreset: e.target.value }, () => {
+    showStatus('markdownStatus', `Markdown exports use "${e.target.value}"`, 'success');
+  });
+});
+
+// Save the form as a preset of its own and use it
+document.getElementById('saveMarkdownPresetBtn').addEventListener('click', async () => {
+  const name = document.getElementById('mdPresetName').value.trim();
+  if (!name) {
+    showStatus('markdownStatus', 'Enter a name for the preset', 'error');
+    return;
+  }
+  if (BUILT_IN_MARKDOWN_PRESETS[name]) {
+    showStatus('markdownStatus', `"${name}" is a built-in preset; choose another name`, 'error');
+    return;
+  }
+  
+  const settings = {
+    frontmatter: document.getElementById('mdFrontmatter').checked,
+    tags: document.getElementById('mdTags').value.trim(),
+    humanLabel: document.getElementById('mdHumanLabel').value.trim() || DEFAULT_MARKDOWN_SETTINGS.humanLabel,
+    assistantLabel: document.getElementById('mdAssistantLabel').value.trim() || DEFAULT_MARKDOWN_SETTINGS.assistantLabel,
+    turnStyle: document.getElementById('mdTurnStyle').value,
+    timestamps: document.getElementById('mdTimestamps').value,
+    wikiLinks: document.getElementById('mdWikiLinks').checked
+  };
+  const presets = { ...(await getSavedMarkdownPresets()), [name]: settings };
+  chrome.storage.sync.set({ markdownPresets: presets, markdownPreset: name }, async () => {
+    await loadMarkdownPresets(name);
+    showStatus('markdownStatus', `Saved "${name}"; Markdown exports use it`, 'success');
+  });
+});
+
+// Delete the selected preset; exports go back to the default one
+document.getElementById('deleteMarkdownPresetBtn').addEventListener('click', async () => {
+  const name = document.getElementById('markdownPreset').value;
+  const presets = await getSavedMarkdownPresets();
+  delete presets[name];
+  chrome.storage.sync.set({ markdownPresets: presets, markdownPreset: 'Default' }, async () => {
+    await loadMarkdownPresets();
+    showStatus('markdownStatus', `Deleted "${name}"`, 'success');
+  });
+});
+
+// Fill in the scheduled backup section
+async function loadBackupSettings() {
+  const settings = await getBackupSettings();
+  const modelSelect = document.getElementById('backupModel');
+  Object.entries(MODEL_DISPLAY_NAMES).forEach(([model, name]) => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = name;
+    modelSelect.appendChild(option);
+  });
+  
+  document.getElementById('backupEnabled').checked = settings.enabled;
+  document.getElementById('backupFrequency').value = settings.frequency;
+  document.getElementById('backupFormat').value = settings.format;
+  modelSelect.value = settings.model;
+  document.getElementById('backupStarredOnly').checked = settings.starredOnly;
+  document.getElementById('backupIncludeMetadata').checked = settings.includeMetadata;
+  document.getElementById('backupKeep').value = settings.keep;
+}
+
+// Save the backup schedule; the background worker picks up the change and sets its alarm
+document.getElementById('saveBackupBtn').addEventListener('click', async () => {
+  const keep = parseInt(document.getElementById('backupKeep').value, 10);
+  if (!(keep >= 1)) {
+    showStatus('backupStatus', 'Keep at least one backup', 'error');
+    return;
+  }
+  
+  const settings = {
+    ...(await getBackupSettings()),
+    enabled: document.getElementById('backupEnabled').checked,
+    frequency: document.getElementById('backupFrequency').value,
+    format: document.getElementById('backupFormat').value,
+    model: document.getElementById('backupModel').value,
+    starredOnly: document.getElementById('backupStarredOnly').checked,
+    includeMetadata: document.getElementById('backupIncludeMetadata').checked,
+    keep
+  };
+  chrome.storage.sync.set({ backupSettings: settings }, () => {
+    showStatus('backupStatus', settings.enabled
+      ? `Saved. Backups run ${settings.frequency} while the browser is open.`
+      : 'Scheduled backups are off', 'success');
+  });
+});
+
+// Run a backup right away, with the saved settings
+document.getElementById('runBackupBtn').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ action: 'runBackupNow' });
+  showStatus('backupStatus', 'Backup started. Its status is shown in the popup.', 'success');
+});
+
 // Test connection
 document.getElementById('testBtn').addEventListener('click', async () => {
   const orgId = document.getElementById('orgId').value.trim();
@@ -42,25 +275,16 @@ document.getElementById('testBtn').addEventListener('click', async () => {
   showStatus('testStatus', 'Testing connection...', 'success');
   
   try {
-    const response = await fetch(`https://claude.ai/api/organizations/${orgId}/chat_conversations`, {
-      credentials: 'include',
-      headers: {
-        'Accept': 'application/json',
-      }
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      showStatus('testStatus', `Success! Found ${data.length} conversations.`, 'success');
-    } else if (response.status === 401) {
+    const conversations = await listConversations(orgId);
+    showStatus('testStatus', `Success! Found ${conversations.length} conversations.`, 'success');
+  } catch (error) {
+    if (error.kind === 'auth') {
       showStatus('testStatus', 'Not authenticated. Please make sure you are logged into Claude.ai', 'error');
-    } else if (response.status === 403) {
+    } else if (error.kind === 'forbidden') {
       showStatus('testStatus', 'Access denied. The Organization ID might be incorrect.', 'error');
     } else {
-      showStatus('testStatus', `Connection failed with status: ${response.status}`, 'error');
+      showStatus('testStatus', `Connection error: ${error.message}`, 'error');
     }
-  } catch (error) {
-    showStatus('testStatus', `Connection error: ${error.message}`, 'error');
   }
 });
 
@@ -9,12 +9,138 @@ async function getOrgId() {
 
 // Check if org ID is configured on popup load
 document.addEventListener('DOMContentLoaded', async () => {
+  showOrganizations(await getSavedOrganizations(), await getOrgId());
+  
+  // Refresh the organization list from claude.ai; this also picks one if none is configured yet
+  try {
+    showOrganizations(await discoverOrganizations(), await getOrgId());
+  } catch (error) {
+    console.warn('Could not detect organizations:', error);
+  }
+  
   const orgId = await getOrgId();
   if (!orgId) {
     document.getElementById('setupNotice').style.display = 'block';
     document.getElementById('exportCurrent').disabled = true;
     document.getElementById('exportAll').disabled = true;
+    return;
+  }
+  
+  showBackupInfo();
+  
+  // Show a bulk export that is already running in the background
+  chrome.runtime.sendMessage({ action: 'getExportStatus' }, (response) => {
+    if (!chrome.runtime.lastError && response?.active) {
+      showExportProgress(response.active);
+    }
+  });
+  
+  // Offer to continue a bulk export that was interrupted or paused
+  try {
+    const [job] = await listResumableExportJobs(orgId);
+    if (job) {
+      const resumeButton = document.getElementById('resumeExport');
+      const done = [...(await getExportJobItems(job.id)).values()].filter(item => item.status === 'done').length;
+      resumeButton.textContent = `Resume export (${done} of ${job.conversations.length})`;
+      resumeButton.dataset.jobId = job.id;
+      resumeButton.style.display = 'block';
+    }
+  } catch (error) {
+    console.warn('Could not check for unfinished exports:', error);
+  }
+});
+
+// Resuming runs in the background like any bulk export
+document.getElementById('resumeExport').addEventListener('click', async (e) => {
+  e.target.style.display = 'none';
+  await chrome.runtime.sendMessage({ action: 'queueExport', jobId: e.target.dataset.jobId });
+  showStatus('Export resumed in the background. You can close this popup.', 'info');
+});
+
+// Refresh the backup status when a backup starts or ends
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.lastBackup) {
+    showBackupInfo();
+  }
+});
+
+// Follow bulk exports while the popup is open
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'exportProgress') {
+    showExportProgress(message);
+  }
+  if (message.action === 'exportFinished') {
+    if (message.error) {
+      showStatus(`Export failed: ${message.error}`, 'error');
+    } else if (message.cancelled) {
+      showStatus('Export paused.', 'info');
+    } else if (message.summary) {
+      const { successful_exports, total_conversations, failed_exports } = message.summary;
+      const failed = failed_exports ? ` (${failed_exports} failed)` : '';
+      const warned = describeExportWarnings(message.summary);
+      showStatus(`Exported ${successful_exports} of ${total_conversations} conversations${failed} to ${message.fileName}${warned}`, failed_exports || warned ? 'info' : 'success');
+    } else if (message.message) {
+      showStatus(message.message, 'info');
+    }
+  }
+});
+
+// Show how far the running bulk export is
+function showExportProgress(progress) {
+  if (progress.phase === 'fetch') {
+    showStatus(`${progress.label}: ${progress.completed + progress.failed} of ${progress.total} conversations...`, 'info');
+  } else if (progress.phase === 'zip') {
+    showStatus(`${progress.label}: creating ZIP file (${progress.percent}%)...`, 'info');
+  } else {
+    showStatus(`${progress.label || 'Export'}: starting...`, 'info');
+  }
+}
+
+// Show how the last scheduled backup went and when the next one runs
+async function showBackupInfo() {
+  const settings = await getBackupSettings();
+  const { lastBackup } = await new Promise(resolve => chrome.storage.local.get(['lastBackup'], resolve));
+  if (!settings.enabled && !lastBackup) return;
+  
+  const lines = [];
+  if (lastBackup?.status === 'running') {
+    lines.push(`Backup running since ${new Date(lastBackup.started_at).toLocaleString()}`);
+  } else if (lastBackup?.status === 'failed') {
+    lines.push(`Last backup failed (${new Date(lastBackup.finished_at).toLocaleString()}): ${lastBackup.error}`);
+  } else if (lastBackup) {
+    // An incremental backup only holds what changed; the rest is in the backups before it
+    const kind = lastBackup.incremental === true ? ' (incremental: new and changed conversations only)'
+      : lastBackup.incremental === false ? ' (full backup)' : '';
+    const saved = lastBackup.file
+      ? `${lastBackup.count} conversations saved to ${lastBackup.file}${kind}` + (lastBackup.failed ? `, ${lastBackup.failed} failed` : '')
+      : lastBackup.message;
+    lines.push(`Last backup ${new Date(lastBackup.finished_at).toLocaleString()}: ${saved}`);
+  }
+  
+  const alarm = settings.enabled ? await chrome.alarms.get('scheduledBackup') : null;
+  if (alarm) {
+    lines.push(`Next backup: ${new Date(alarm.scheduledTime).toLocaleString()}`);
+  }
+  
+  const info = document.getElementById('backupInfo');
+  info.textContent = lines.join('. ');
+  info.classList.toggle('failed', lastBackup?.status === 'failed');
+  info.style.display = lines.length > 0 ? 'block' : 'none';
+}
+
+// The organization picker is only shown to users who belong to several organizations
+function showOrganizations(organizations, orgId) {
+  const several = organizations.length > 1;
+  document.getElementById('orgPicker').style.display = several ? 'block' : 'none';
+  document.getElementById('allOrgsOption').style.display = several ? 'block' : 'none';
+  if (several) {
+    populateOrganizationSelect(document.getElementById('orgSelect'), organizations, orgId);
   }
+}
+
+// Switch the active organization
+document.getElementById('orgSelect').addEventListener('change', (e) => {
+  setActiveOrganization(e.target.value);
 });
 
 // Handle options link click
@@ -31,6 +157,32 @@ document.getElementById('openOptions').addEventListener('click', (e) => {
     return match ? match[1] : null;
   }
   
+  // Collect the export options shared by single and bulk exports
+  function getExportOptions() {
+    return {
+      allBranches: document.getElementById('allBranches').checked,
+      toolUse: document.getElementById('includeToolUse').checked,
+      toolResults: document.getElementById('includeToolResults').checked,
+      citations: document.getElementById('includeCitations').checked,
+      thinking: document.getElementById('includeThinking').checked,
+      artifacts: document.getElementById('exportArtifacts').checked,
+      allArtifactVersions: document.getElementById('allArtifactVersions').checked,
+      attachments: document.getElementById('includeAttachments').checked,
+      mergeConsecutive: document.getElementById('mergeConsecutive').checked,
+      stripTools: document.getElementById('stripTools').checked,
+      truncateTokens: Number(document.getElementById('truncateTokens').value) || 0
+    };
+  }
+  
+  // The PDF library is only injected into the Claude.ai tab when a PDF export needs it
+  async function ensurePdfLibrary(tabId, format) {
+    if (format !== 'pdf') return;
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['jspdf.umd.min.js']
+    });
+  }
+  
   // Show status message
   function showStatus(message, type = 'info') {
     const statusEl = document.getElementById('status');
@@ -68,13 +220,16 @@ document.getElementById('exportCurrent').addEventListener('click', async () => {
     if (!tab.url.includes('claude.ai')) {
       throw new Error('Please navigate to a Claude.ai conversation page first.');
     }
+    
+    await ensurePdfLibrary(tab.id, document.getElementById('format').value);
       
           chrome.tabs.sendMessage(tab.id, {
       action: 'exportConversation',
       conversationId,
       orgId,
       format: document.getElementById('format').value,
-      includeMetadata: document.getElementById('includeMetadata').checked
+      includeMetadata: document.getElementById('includeMetadata').checked,
+      options: getExportOptions()
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('Chrome runtime error:', chrome.runtime.lastError);
@@ -83,7 +238,9 @@ document.getElementById('exportCurrent').addEventListener('click', async () => {
         return;
       }
       
-      if (response?.success) {
+      if (response?.success && response.warning) {
+        showStatus(`Conversation exported. ${response.warning}.`, 'info');
+      } else if (response?.success) {
         showStatus('Conversation exported successfully!', 'success');
       } else {
         const errorMsg = response?.error || 'Export failed';
@@ -103,49 +260,50 @@ document.getElementById('exportCurrent').addEventListener('click', async () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('browse.html') });
   });
   
+  // Queue a background export of every conversation of one organization
+  function requestExportAll(orgId, orgName) {
+    return chrome.runtime.sendMessage({
+      action: 'queueExport',
+      request: {
+        orgId,
+        orgName,
+        sinceLastSync: document.getElementById('sinceLastSync').checked,
+        format: document.getElementById('format').value,
+        includeMetadata: document.getElementById('includeMetadata').checked,
+        options: getExportOptions()
+      }
+    });
+  }
+  
   // Export all conversations
+  // The background worker does the work and saves one ZIP per organization, so this works from any tab
+  // and keeps going after the popup closes; progress shows on the toolbar icon
   document.getElementById('exportAll').addEventListener('click', async () => {
     const button = document.getElementById('exportAll');
     button.disabled = true;
-    showStatus('Fetching all conversations...', 'info');
     
     try {
       const orgId = await getOrgId();
       
-          if (!orgId) {
-      throw new Error('Organization ID not configured. Click the setup link above to configure it.');
+      if (!orgId) {
+        throw new Error('Organization ID not configured. Click the setup link above to configure it.');
       }
       
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-          chrome.tabs.sendMessage(tab.id, {
-      action: 'exportAllConversations',
-      orgId,
-      format: document.getElementById('format').value,
-      includeMetadata: document.getElementById('includeMetadata').checked
-    }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('Chrome runtime error:', chrome.runtime.lastError);
-        showStatus(`Error: ${chrome.runtime.lastError.message}`, 'error');
-        button.disabled = false;
+      // Several organizations are exported one after another; file names carry the organization name
+      if (document.getElementById('allOrganizations').checked) {
+        const organizations = await getSavedOrganizations();
+        for (const org of organizations) {
+          await requestExportAll(org.uuid, org.name);
+        }
+        showStatus(`Exporting ${organizations.length} organizations in the background. You can close this popup.`, 'info');
         return;
       }
       
-      if (response?.success) {
-        if (response.warnings) {
-          showStatus(response.warnings, 'info');
-        } else {
-          showStatus(`Exported ${response.count} conversations!`, 'success');
-        }
-      } else {
-        const errorMsg = response?.error || 'Export failed';
-        console.error('Export failed:', errorMsg, response?.details);
-        showStatus(errorMsg, 'error');
-      }
-      button.disabled = false;
-    });
+      await requestExportAll(orgId);
+      showStatus('Export started in the background. You can close this popup.', 'info');
     } catch (error) {
       showStatus(error.message, 'error');
+    } finally {
       button.disabled = false;
     }
   });
\ No newline at end of file
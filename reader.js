@@ -0,0 +1,348 @@
+// Conversation reader: shows one conversation from claude.ai or the offline archive inside the extension,
+// rendered like HTML exports, with an outline of your messages and find
+// Opened as reader.html?id=<conversation uuid>&org=<organization uuid>&source=online|archive|import,
+// optionally with #msg-<message uuid> to open at that message, on the branch it belongs to
+
+const params = new URLSearchParams(location.search);
+
+// The chat view styles come first, so the reader's own rules in reader.html can build on them
+const chatViewStyle = document.createElement('style');
+chatViewStyle.textContent = CHAT_VIEW_CSS;
+document.head.prepend(chatViewStyle);
+document.getElementById('compareLink').href = `compare.html?${params}`;
+// Compare loads conversations from claude.ai or the archive, which don't have imported ones
+document.getElementById('compareLink').hidden = params.get('source') === 'import';
+
+let conversation = null;
+let messageMap = new Map();
+let shownView = null; // The conversation with current_leaf_message_uuid set to the branch on screen
+let findHits = [];
+let findIndex = -1;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const conversationId = params.get('id');
+  
+  try {
+    if (!conversationId) {
+      throw new Error('No conversation was given');
+    }
+    conversation = await getReaderConversation(conversationId);
+    conversation.model = inferModel(conversation);
+    messageMap = new Map((conversation.chat_messages || []).map(message => [message.uuid, message]));
+    
+    const title = conversation.name || 'Untitled Conversation';
+    document.title = `${title} - Claude Conversation Reader`;
+    document.getElementById('readerTitle').textContent = title;
+    await showConversationMeta();
+    
+    renderConversation(getHashMessage());
+    scrollToMessage(getHashMessage());
+    document.getElementById('readerExport').disabled = false;
+    
+  } catch (error) {
+    console.error('Reader error:', error);
+    document.getElementById('readerTitle').textContent = 'Conversation not available';
+    showNotice(`Could not load the conversation: ${error.message}`, true);
+  }
+});
+
+// Load the conversation from the archive when asked to, otherwise from claude.ai (archiving it on the way)
+// An archived copy is shown instead when claude.ai can't be reached
+async function getReaderConversation(conversationId) {
+  if (params.get('source') === 'import') {
+    return getImportedConversation(conversationId);
+  }
+  
+  const archived = await getArchivedConversation(conversationId);
+  if (params.get('source') === 'archive') {
+    if (!archived) {
+      throw new Error('Conversation is not in the offline archive');
+    }
+    return archived;
+  }
+  
+  const orgId = params.get('org') || await new Promise((resolve) => {
+    chrome.storage.sync.get(['organizationId'], (result) => resolve(result.organizationId));
+  });
+  
+  try {
+    const data = await fetchConversation(orgId, conversationId);
+    archiveConversation(orgId, data).catch(error => console.warn('Could not archive conversation:', error));
+    return data;
+  } catch (error) {
+    if (!archived) throw error;
+    showNotice(`Showing the archived copy, claude.ai could not be reached: ${error.message}`);
+    return archived;
+  }
+}
+
+// Imported conversations are only held by the import page that opened the reader, so ask it for them
+function getImportedConversation(conversationId) {
+  return new Promise((resolve, reject) => {
+    if (!window.opener) {
+      reject(new Error('Imported conversations can only be opened from the import page'));
+      return;
+    }
+    
+    const timeout = setTimeout(() => {
+      window.removeEventListener('message', listener);
+      reject(new Error('The import page did not answer; open the conversation from it again'));
+    }, 5000);
+    const listener = (event) => {
+      if (event.origin !== location.origin || event.data?.action !== 'importedConversation' || event.data.id !== conversationId) return;
+      clearTimeout(timeout);
+      window.removeEventListener('message', listener);
+      if (event.data.data) {
+        resolve(event.data.data);
+      } else {
+        reject(new Error('The import page no longer has this conversation'));
+      }
+    };
+    window.addEventListener('message', listener);
+    window.opener.postMessage({ action: 'getImportedConversation', id: conversationId }, location.origin);
+  });
+}
+
+// Model, dates, project and a link back to claude.ai under the title
+async function showConversationMeta() {
+  const { projectNames = {} } = await new Promise(resolve => chrome.storage.local.get(['projectNames'], resolve));
+  const messages = conversation.chat_messages || [];
+  
+  let meta = `<span class="model-badge ${getModelBadgeClass(conversation.model)}">${escapeHtml(formatModelName(conversation.model))}</span>`;
+  meta += `<span>Created: ${escapeHtml(new Date(conversation.created_at).toLocaleString())}</span>`;
+  meta += `<span>Updated: ${escapeHtml(new Date(conversation.updated_at).toLocaleString())}</span>`;
+  meta += `<span>${messages.length} messages, ${getAllLeaves(buildMessageTree(conversation)).length} branches</span>`;
+  if (conversation.project_uuid) {
+    const project = conversation.project?.name || projectNames[conversation.project_uuid] || `Project ${conversation.project_uuid.slice(0, 8)}`;
+    meta += `<span>Project: ${escapeHtml(project)}</span>`;
+  }
+  meta += `<a href="https://claude.ai/chat/${encodeURIComponent(conversation.uuid)}" target="_blank" rel="noopener">Open on claude.ai</a>`;
+  document.getElementById('readerMeta').innerHTML = meta;
+}
+
+// Show a warning or error above the conversation
+function showNotice(message, isError = false) {
+  const notice = document.getElementById('readerNotice');
+  notice.textContent = message;
+  notice.classList.toggle('error', isError);
+  notice.style.display = 'block';
+}
+
+// Which content blocks to show, from the toolbar
+function getReaderOptions() {
+  const tools = document.getElementById('showTools').checked;
+  return {
+    toolUse: tools,
+    toolResults: tools,
+    citations: true,
+    thinking: document.getElementById('showThinking').checked
+  };
+}
+
+// Render the conversation on the branch containing a message (the current branch if none is given)
+// Every render gets a new container, so the branch switcher's listeners don't pile up
+function renderConversation(messageUuid = null) {
+  const leaf = messageUuid ? getLatestLeafUnder(buildMessageTree(conversation), messageUuid) : null;
+  shownView = leaf ? { ...conversation, current_leaf_message_uuid: leaf.uuid } : conversation;
+  
+  const container = document.createElement('div');
+  container.innerHTML = renderConversationHtml(shownView, true, getReaderOptions());
+  container.querySelectorAll('.message').forEach(element => {
+    const link = document.createElement('a');
+    link.className = 'message-anchor';
+    link.href = `#msg-${element.dataset.uuid}`;
+    link.title = 'Link to this message';
+    link.textContent = '#';
+    element.querySelector('.sender').append(link);
+  });
+  
+  initBranchSwitcher(container, getBranchSwitcherData(shownView));
+  // Runs after the switcher's own listener has shown the other branch
+  container.addEventListener('click', (event) => {
+    if (event.target.closest('.branch-prev, .branch-next')) {
+      updateShownBranch();
+    }
+  });
+  
+  document.getElementById('chat').replaceChildren(container);
+  updateShownBranch();
+}
+
+// Keep the outline, find results and export in step with the branch on screen
+function updateShownBranch() {
+  const visible = [...document.querySelectorAll('#chat .message:not([hidden])')];
+  const last = visible[visible.length - 1];
+  if (last) {
+    shownView = { ...conversation, current_leaf_message_uuid: last.dataset.uuid };
+  }
+  
+  const outline = document.getElementById('outline');
+  outline.innerHTML = '';
+  visible.filter(element => element.classList.contains('human')).forEach((element, i) => {
+    const link = document.createElement('a');
+    link.href = `#msg-${element.dataset.uuid}`;
+    link.textContent = `${i + 1}. ${getMessagePreview(messageMap.get(element.dataset.uuid), 80)}`;
+    link.title = link.textContent;
+    outline.appendChild(link);
+  });
+  
+  runFind();
+}
+
+// The message named in the URL hash, if any
+function getHashMessage() {
+  const match = location.hash.match(/^#msg-(.+)$/);
+  return match && messageMap.has(match[1]) ? match[1] : null;
+}
+
+// Scroll to a message and mark it; messages on another branch switch to that branch first
+function scrollToMessage(messageUuid) {
+  if (!messageUuid) return;
+  
+  let element = document.getElementById(`msg-${messageUuid}`);
+  if (!element || element.hidden) {
+    renderConversation(messageUuid);
+    element = document.getElementById(`msg-${messageUuid}`);
+  }
+  
+  document.querySelectorAll('#chat .message.target').forEach(other => other.classList.remove('target'));
+  element.classList.add('target');
+  element.scrollIntoView({ block: 'start' });
+}
+
+// Anchor links and the outline change the hash
+window.addEventListener('hashchange', () => {
+  scrollToMessage(getHashMessage());
+});
+
+// Show or hide tool and thinking blocks, staying on the same branch
+['showTools', 'showThinking'].forEach(id => {
+  document.getElementById(id).addEventListener('change', () => {
+    if (conversation) {
+      renderConversation(shownView.current_leaf_message_uuid);
+    }
+  });
+});
+
+// Remove the find highlights, restoring the original text nodes
+function clearFindHighlights() {
+  document.querySelectorAll('#chat mark.find-hit').forEach(mark => {
+    const parent = mark.parentNode;
+    mark.replaceWith(mark.textContent);
+    parent.normalize();
+  });
+  findHits = [];
+  findIndex = -1;
+}
+
+// Highlight every match of the find text in the messages on screen, including collapsed blocks
+function runFind() {
+  clearFindHighlights();
+  const query = document.getElementById('findInput').value.trim().toLowerCase();
+  
+  if (query) {
+    document.querySelectorAll('#chat .message:not([hidden]) .message-body').forEach(body => {
+      const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+      }
+      
+      nodes.forEach(node => {
+        const text = node.nodeValue;
+        const lower = text.toLowerCase();
+        let start = lower.indexOf(query);
+        if (start === -1) return;
+        
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        while (start !== -1) {
+          fragment.append(text.slice(last, start));
+          const mark = document.createElement('mark');
+          mark.className = 'find-hit';
+          mark.textContent = text.slice(start, start + query.length);
+          fragment.append(mark);
+          findHits.push(mark);
+          last = start + query.length;
+          start = lower.indexOf(query, last);
+        }
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
+      });
+    });
+  }
+  
+  findIndex = findHits.length > 0 ? 0 : -1;
+  showFindHit(false);
+}
+
+// Mark the current match, opening any collapsed block it is in
+function showFindHit(scroll = true) {
+  const query = document.getElementById('findInput').value.trim();
+  document.getElementById('findCount').textContent = !query ? ''
+    : findHits.length === 0 ? 'No matches' : `${findIndex + 1} of ${findHits.length}`;
+  
+  findHits.forEach((mark, i) => mark.classList.toggle('current', i === findIndex));
+  const mark = findHits[findIndex];
+  if (!mark || !scroll) return;
+  
+  for (let details = mark.closest('details'); details; details = details.parentElement.closest('details')) {
+    details.open = true;
+  }
+  mark.scrollIntoView({ block: 'center' });
+}
+
+// Step through the matches, wrapping around at either end
+function moveFind(step) {
+  if (findHits.length === 0) return;
+  findIndex = (findIndex + step + findHits.length) % findHits.length;
+  showFindHit();
+}
+
+document.getElementById('findInput').addEventListener('input', () => {
+  runFind();
+  showFindHit();
+});
+
+document.getElementById('findInput').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    moveFind(e.shiftKey ? -1 : 1);
+  } else if (e.key === 'Escape') {
+    e.target.value = '';
+    runFind();
+  }
+});
+
+document.getElementById('findPrev').addEventListener('click', () => moveFind(-1));
+document.getElementById('findNext').addEventListener('click', () => moveFind(1));
+
+// Ctrl+F / Cmd+F searches the conversation, including collapsed tool and thinking blocks
+document.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+    e.preventDefault();
+    document.getElementById('findInput').focus();
+    document.getElementById('findInput').select();
+  }
+});
+
+// Export the branch on screen, with the blocks shown and the file naming and Markdown settings from the options
+document.getElementById('readerExport').addEventListener('click', async (e) => {
+  const button = e.target;
+  button.disabled = true;
+  
+  try {
+    const format = document.getElementById('readerFormat').value;
+    const baseName = getExportBaseName(shownView, await getFileNamingSettings(), { layout: false });
+    const files = await buildConversationFiles(shownView, format, true, getReaderOptions(), baseName);
+    await downloadConversationFiles(files, baseName);
+    if (files[0].warning) {
+      showNotice(`Exported. ${files[0].warning}.`);
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    showNotice(`Export failed: ${error.message}`, true);
+  } finally {
+    button.disabled = false;
+  }
+});
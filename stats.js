@@ -0,0 +1,342 @@
+// Usage statistics for the Stats tab of the browse page, drawn locally as SVG charts and exportable as CSV
+// Conversation counts come from the conversation list; messages, turns, hours and tokens need the archived payloads
+// Needs utils.js and archive.js; nothing here touches the DOM
+
+const STATS_LONGEST_COUNT = 10;
+const STATS_COLORS = ['#5436DA', '#e65100', '#2e7d32', '#7b1fa2', '#0066cc', '#c62828', '#00838f', '#6d4c41', '#9e9d24', '#546e7a'];
+
+// Figures per conversation by uuid, so changing the filters doesn't read the archive again
+// An entry is read again once the conversation's updated_at changes
+const conversationUsageCache = new Map();
+
+// Local date as YYYY-MM-DD
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Monday of the week a date falls in, in local time
+function getWeekStart(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  return formatLocalDate(date);
+}
+
+// Every week from the first to the last of a set of week starts, so quiet weeks show as gaps
+function getWeekRange(weeks) {
+  const sorted = [...weeks].sort();
+  if (sorted.length === 0) return [];
+  
+  const last = new Date(`${sorted[sorted.length - 1]}T00:00:00`);
+  const range = [];
+  for (const date = new Date(`${sorted[0]}T00:00:00`); date <= last; date.setDate(date.getDate() + 7)) {
+    range.push(formatLocalDate(date));
+  }
+  return range;
+}
+
+// Messages, turns, estimated tokens, messages per week and your messages per hour of one conversation,
+// or null when it isn't in the archive
+// Turns are your messages on the current branch; messages and tokens count every branch
+async function getConversationUsage(conv) {
+  const cached = conversationUsageCache.get(conv.uuid);
+  if (cached && cached.updated_at === conv.updated_at) {
+    return cached.usage;
+  }
+  
+  const data = await getArchivedConversation(conv.uuid);
+  let usage = null;
+  if (data) {
+    usage = { messages: 0, turns: 0, tokens: 0, weeks: new Map(), hours: new Array(24).fill(0) };
+    const currentBranch = new Set(getCurrentBranch(data).map(message => message.uuid));
+    
+    (data.chat_messages || []).forEach(message => {
+      const tokens = estimateMessageTokens(message);
+      usage.messages++;
+      usage.tokens += tokens;
+      if (message.sender === 'human' && (currentBranch.size === 0 || currentBranch.has(message.uuid))) {
+        usage.turns++;
+      }
+      if (!message.created_at) return;
+      
+      const week = getWeekStart(message.created_at);
+      const entry = usage.weeks.get(week) || { messages: 0, tokens: 0 };
+      entry.messages++;
+      entry.tokens += tokens;
+      usage.weeks.set(week, entry);
+      if (message.sender === 'human') {
+        usage.hours[new Date(message.created_at).getHours()]++;
+      }
+    });
+  }
+  
+  conversationUsageCache.set(conv.uuid, { updated_at: conv.updated_at, usage });
+  return usage;
+}
+
+// Add up the statistics of a list of conversation summaries
+// Archived payloads are read one at a time, so a large archive never has to fit in memory
+// onProgress receives (done, total) after every conversation
+async function collectUsageStats(conversations, onProgress = () => {}) {
+  const stats = {
+    conversations: conversations.length,
+    archived: 0,
+    messages: 0,
+    turns: 0,
+    tokens: 0,
+    weeks: new Map(), // Week start -> { conversations, messages, tokens: Map(model -> tokens) }
+    models: new Map(), // Model display name -> { conversations, archived, messages, turns, tokens }
+    hours: new Array(24).fill(0),
+    longest: []
+  };
+  const weekEntry = (week) => {
+    if (!stats.weeks.has(week)) {
+      stats.weeks.set(week, { conversations: 0, messages: 0, tokens: new Map() });
+    }
+    return stats.weeks.get(week);
+  };
+  
+  for (const [i, conv] of conversations.entries()) {
+    const model = formatModelName(inferModel(conv));
+    if (!stats.models.has(model)) {
+      stats.models.set(model, { conversations: 0, archived: 0, messages: 0, turns: 0, tokens: 0 });
+    }
+    const byModel = stats.models.get(model);
+    byModel.conversations++;
+    if (conv.created_at) {
+      weekEntry(getWeekStart(conv.created_at)).conversations++;
+    }
+    
+    const usage = await getConversationUsage(conv);
+    if (usage) {
+      stats.archived++;
+      byModel.archived++;
+      ['messages', 'turns', 'tokens'].forEach(key => {
+        stats[key] += usage[key];
+        byModel[key] += usage[key];
+      });
+      usage.weeks.forEach((entry, week) => {
+        const total = weekEntry(week);
+        total.messages += entry.messages;
+        total.tokens.set(model, (total.tokens.get(model) || 0) + entry.tokens);
+      });
+      usage.hours.forEach((count, hour) => {
+        stats.hours[hour] += count;
+      });
+      stats.longest.push({
+        uuid: conv.uuid,
+        name: conv.name || 'Untitled Conversation',
+        model,
+        created_at: conv.created_at,
+        messages: usage.messages,
+        turns: usage.turns,
+        tokens: usage.tokens
+      });
+    }
+    
+    onProgress(i + 1, conversations.length);
+  }
+  
+  stats.longest.sort((a, b) => (b.messages - a.messages) || (b.tokens - a.tokens));
+  stats.longest = stats.longest.slice(0, STATS_LONGEST_COUNT);
+  return stats;
+}
+
+// Average turns per archived conversation, to one decimal
+function getAverageTurns(turns, conversations) {
+  return conversations > 0 ? Math.round((turns / conversations) * 10) / 10 : 0;
+}
+
+// The statistics as tables, each drawn as one chart and exported as one CSV file
+// { id, title, columns, rows }; rows hold plain values, charts are drawn from the same rows
+function getUsageStatsTables(stats) {
+  const weeks = getWeekRange(stats.weeks.keys());
+  const models = [...stats.models.entries()].sort((a, b) => b[1].conversations - a[1].conversations);
+  const tokenModels = models.filter(([, figures]) => figures.tokens > 0).map(([model]) => model);
+  
+  return [
+    {
+      id: 'weekly',
+      title: 'Conversations and messages per week',
+      columns: ['Week', 'Conversations started', 'Messages'],
+      rows: weeks.map(week => {
+        const entry = stats.weeks.get(week);
+        return [week, entry ? entry.conversations : 0, entry ? entry.messages : 0];
+      })
+    },
+    {
+      id: 'models',
+      title: 'By model',
+      columns: ['Model', 'Conversations', 'Messages', 'Average turns', 'Estimated tokens'],
+      rows: models.map(([model, figures]) => [
+        model,
+        figures.conversations,
+        figures.messages,
+        getAverageTurns(figures.turns, figures.archived),
+        figures.tokens
+      ])
+    },
+    {
+      id: 'tokens',
+      title: 'Estimated tokens per week by model',
+      columns: ['Week', ...tokenModels],
+      rows: weeks.map(week => {
+        const entry = stats.weeks.get(week);
+        return [week, ...tokenModels.map(model => (entry && entry.tokens.get(model)) || 0)];
+      })
+    },
+    {
+      id: 'hours',
+      title: 'Busiest hours (your messages, local time)',
+      columns: ['Hour', 'Messages'],
+      rows: stats.hours.map((count, hour) => [`${String(hour).padStart(2, '0')}:00`, count])
+    },
+    {
+      id: 'longest',
+      title: 'Longest conversations',
+      columns: ['Conversation', 'Model', 'Messages', 'Turns', 'Estimated tokens', 'Created', 'UUID'],
+      rows: stats.longest.map(conv => [
+        conv.name,
+        conv.model,
+        conv.messages,
+        conv.turns,
+        conv.tokens,
+        conv.created_at ? formatLocalDate(new Date(conv.created_at)) : '',
+        conv.uuid
+      ])
+    }
+  ];
+}
+
+// Write a table as CSV
+// Cells that a spreadsheet would run as a formula get a leading apostrophe
+function convertTableToCsv(table) {
+  const cell = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [table.columns, ...table.rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Vertical bar chart as inline SVG, with one bar per series side by side or stacked
+// series: [{ name, color, values }], one value per label; bars show their exact value on hover
+function renderBarChartSvg(labels, series, { stacked = false } = {}) {
+  const width = 900;
+  const height = 240;
+  const left = 50;
+  const right = 10;
+  const top = 10;
+  const bottom = 30;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  
+  const totals = labels.map((label, i) => {
+    const values = series.map(item => item.values[i] || 0);
+    return stacked ? values.reduce((sum, value) => sum + value, 0) : Math.max(0, ...values);
+  });
+  const max = Math.max(1, ...totals);
+  const y = (value) => top + plotHeight - (value / max) * plotHeight;
+  const slot = plotWidth / Math.max(1, labels.length);
+  const barWidth = Math.max(1, stacked ? slot * 0.8 : (slot * 0.8) / series.length);
+  const labelStep = Math.ceil(labels.length / 12);
+  
+  let svg = `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">`;
+  [0, max / 2, max].forEach(value => {
+    svg += `<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#eee"/>`;
+    svg += `<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#666">${escapeHtml(formatStatNumber(value))}</text>`;
+  });
+  
+  labels.forEach((label, i) => {
+    const x = left + i * slot + slot * 0.1;
+    let base = 0;
+    series.forEach((item, k) => {
+      const value = item.values[i] || 0;
+      if (!value) return;
+      const barX = stacked ? x : x + k * barWidth;
+      const bottomValue = stacked ? base : 0;
+      svg += `<rect x="${barX}" y="${y(bottomValue + value)}" width="${barWidth}" height="${y(bottomValue) - y(bottomValue + value)}" fill="${item.color}">` +
+        `<title>${escapeHtml(`${label}, ${item.name}: ${value.toLocaleString()}`)}</title></rect>`;
+      base += value;
+    });
+    if (i % labelStep === 0) {
+      svg += `<text x="${left + i * slot + slot / 2}" y="${height - bottom + 18}" text-anchor="middle" font-size="11" fill="#666">${escapeHtml(label)}</text>`;
+    }
+  });
+  
+  return `${svg}</svg>`;
+}
+
+// Colour key for a chart's series
+function renderChartLegend(series) {
+  return `<div class="stats-legend">${series.map(item =>
+    `<span><i style="background: ${item.color}"></i>${escapeHtml(item.name)}</span>`).join('')}</div>`;
+}
+
+// Draw one table: a bar chart for the weekly and hourly tables, an HTML table with bars or links for the others
+function renderStatsTable(table) {
+  let body = '';
+  const labels = table.rows.map(row => row[0]);
+  const column = (index) => table.rows.map(row => row[index]);
+  
+  if (table.rows.length === 0) {
+    body = '<div class="no-results">Nothing to show yet</div>';
+  } else if (table.id === 'weekly') {
+    const series = [
+      { name: 'Conversations started', color: STATS_COLORS[0], values: column(1) },
+      { name: 'Messages', color: STATS_COLORS[1], values: column(2) }
+    ];
+    body = renderChartLegend(series) + renderBarChartSvg(labels, series);
+  } else if (table.id === 'tokens') {
+    const series = table.columns.slice(1).map((model, i) => ({
+      name: model,
+      color: STATS_COLORS[i % STATS_COLORS.length],
+      values: column(i + 1)
+    }));
+    body = renderChartLegend(series) + renderBarChartSvg(labels, series, { stacked: true });
+  } else if (table.id === 'hours') {
+    body = renderBarChartSvg(labels, [{ name: 'Messages', color: STATS_COLORS[0], values: column(1) }]);
+  } else if (table.id === 'models') {
+    const most = Math.max(1, ...column(1));
+    body = `<table><thead><tr>${table.columns.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead><tbody>` +
+      table.rows.map(row => `<tr><td>${escapeHtml(row[0])}<div class="stats-bar" style="width: ${(row[1] / most) * 100}%"></div></td>` +
+        row.slice(1).map(value => `<td>${value.toLocaleString()}</td>`).join('') + '</tr>').join('') +
+      '</tbody></table>';
+  } else if (table.id === 'longest') {
+    body = '<table><thead><tr><th>Conversation</th><th>Model</th><th>Messages</th><th>Turns</th><th>Estimated tokens</th><th>Created</th><th></th></tr></thead><tbody>' +
+      table.rows.map(row => `<tr><td class="conversation-name">${escapeHtml(row[0])}</td><td>${escapeHtml(row[1])}</td>` +
+        `<td>${row[2].toLocaleString()}</td><td>${row[3].toLocaleString()}</td><td>${row[4].toLocaleString()}</td><td class="date">${escapeHtml(row[5])}</td>` +
+        `<td><button class="btn-small btn-view btn-stats-view" data-id="${escapeHtml(row[6])}">View</button></td></tr>`).join('') +
+      '</tbody></table>';
+  }
+  
+  return `<section class="stats-section">
+    <div class="stats-section-header">
+      <h3>${escapeHtml(table.title)}</h3>
+      <button class="btn-small btn-view btn-stats-csv" data-table="${table.id}" title="Download this table as CSV">CSV</button>
+    </div>
+    ${body}
+  </section>`;
+}
+
+// The whole Stats tab: totals, a note on what the message figures cover, then every table
+function renderUsageStatsHtml(stats, tables) {
+  const card = (value, label) => `<div class="stats-card"><strong>${escapeHtml(value)}</strong><span>${escapeHtml(label)}</span></div>`;
+  let html = '<div class="stats-cards">' +
+    card(stats.conversations.toLocaleString(), 'conversations') +
+    card(stats.messages.toLocaleString(), 'messages') +
+    card(getAverageTurns(stats.turns, stats.archived).toLocaleString(), 'average turns per conversation') +
+    card(formatStatNumber(stats.tokens), 'estimated tokens') +
+    '</div>';
+  
+  let note = 'Tokens are estimated at about 4 characters per token, across every branch, tool call and thinking block.';
+  if (stats.archived < stats.conversations) {
+    note = `Messages, turns, hours and tokens only count the ${stats.archived.toLocaleString()} of ${stats.conversations.toLocaleString()} conversations ` +
+      `in the offline archive; export the others once to include them. ${note}`;
+  }
+  html += `<p class="stats-note">${escapeHtml(note)}</p>`;
+  
+  return html + tables.map(renderStatsTable).join('');
+}
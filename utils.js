@@ -1,20 +1,92 @@
 // Shared utility functions for Claude Exporter
 
+// Model name mappings
+const MODEL_DISPLAY_NAMES = {
+  'claude-3-sonnet-20240229': 'Claude 3 Sonnet',
+  'claude-3-opus-20240229': 'Claude 3 Opus',
+  'claude-3-haiku-20240307': 'Claude 3 Haiku',
+  'claude-3-5-sonnet-20240620': 'Claude 3.5 Sonnet',
+  'claude-3-5-haiku-20241022': 'Claude 3.5 Haiku',
+  'claude-3-5-sonnet-20241022': 'Claude 3.6 Sonnet',
+  'claude-3-7-sonnet-20250219': 'Claude 3.7 Sonnet',
+  'claude-sonnet-4-20250514': 'Claude Sonnet 4',
+  'claude-opus-4-20250514': 'Claude Opus 4',
+  'claude-opus-4-1-20250805': 'Claude Opus 4.1',
+  'claude-sonnet-4-5-20250929': 'Claude Sonnet 4.5',
+  'claude-opus-4-5-20251101': 'Claude Opus 4.5',
+  'claude-haiku-4-5-20251001': 'Claude Haiku 4.5'
+};
+
+// Default model timeline for null models
+// Each entry represents when that model became the default
+const DEFAULT_MODEL_TIMELINE = [
+  { date: new Date('2024-01-01'), model: 'claude-3-sonnet-20240229' }, // Before June 20, 2024
+  { date: new Date('2024-06-20'), model: 'claude-3-5-sonnet-20240620' }, // Starting June 20, 2024
+  { date: new Date('2024-10-22'), model: 'claude-3-5-sonnet-20241022' }, // Starting October 22, 2024
+  { date: new Date('2025-02-24'), model: 'claude-3-7-sonnet-20250219' }, // Starting February 24, 2025
+  { date: new Date('2025-05-22'), model: 'claude-sonnet-4-20250514' }, // Starting May 22, 2025
+  { date: new Date('2025-09-29'), model: 'claude-sonnet-4-5-20250929' }, // Starting September 29, 2025
+  { date: new Date('2025-11-01'), model: 'claude-opus-4-5-20251101' } // Starting November 1, 2025
+];
+
+// Infer model for conversations with null model based on date
+function inferModel(conversation) {
+  if (conversation.model) {
+    return conversation.model;
+  }
+  
+  // Use created_at date to determine which default model was active
+  const conversationDate = new Date(conversation.created_at);
+  
+  // Find the appropriate model based on the conversation date
+  // Start from the end and work backwards to find the right period
+  for (let i = DEFAULT_MODEL_TIMELINE.length - 1; i >= 0; i--) {
+    if (conversationDate >= DEFAULT_MODEL_TIMELINE[i].date) {
+      return DEFAULT_MODEL_TIMELINE[i].model;
+    }
+  }
+  
+  // If date is before all known dates, use the first model
+  return DEFAULT_MODEL_TIMELINE[0].model;
+}
+
+// Format model name for display
+function formatModelName(model) {
+  return MODEL_DISPLAY_NAMES[model] || model;
+}
+
+// Get model badge class
+function getModelBadgeClass(model) {
+  if (model.includes('sonnet')) return 'sonnet';
+  if (model.includes('opus')) return 'opus';
+  if (model.includes('haiku')) return 'haiku';
+  return '';
+}
+
 // Helper function to reconstruct the current branch from the message tree
 function getCurrentBranch(data) {
   if (!data.chat_messages || !data.current_leaf_message_uuid) {
     return [];
   }
   
+  return getBranchToLeaf(data, data.current_leaf_message_uuid);
+}
+
+// Trace the path from the root of the message tree down to the given leaf
+function getBranchToLeaf(data, leafUuid) {
+  if (!data.chat_messages || !leafUuid) {
+    return [];
+  }
+  
   // Create a map of UUID to message for quick lookup
   const messageMap = new Map();
   data.chat_messages.forEach(msg => {
     messageMap.set(msg.uuid, msg);
   });
   
-  // Trace back from the current leaf to the root
+  // Trace back from the leaf to the root
   const branch = [];
-  let currentUuid = data.current_leaf_message_uuid;
+  let currentUuid = leafUuid;
   
   while (currentUuid && messageMap.has(currentUuid)) {
     const message = messageMap.get(currentUuid);
@@ -30,46 +102,585 @@ function getCurrentBranch(data) {
   return branch;
 }
 
-// Convert to markdown format
-function convertToMarkdown(data, includeMetadata) {
-  let markdown = `# ${data.name || 'Untitled Conversation'}\n\n`;
+// Build a parent -> children index of the whole message tree
+// Siblings are edits or regenerations of the same turn, kept in the order they were written
+function buildMessageTree(data) {
+  const messageMap = new Map();
+  const children = new Map();
+  const roots = [];
   
-  if (includeMetadata) {
-    markdown += `**Created:** ${new Date(data.created_at).toLocaleString()}\n`;
-    markdown += `**Updated:** ${new Date(data.updated_at).toLocaleString()}\n`;
-    markdown += `**Model:** ${data.model}\n\n`;
-    markdown += '---\n\n';
+  (data.chat_messages || []).forEach(msg => {
+    messageMap.set(msg.uuid, msg);
+  });
+  
+  messageMap.forEach(msg => {
+    const parentUuid = msg.parent_message_uuid;
+    if (parentUuid && messageMap.has(parentUuid)) {
+      if (!children.has(parentUuid)) {
+        children.set(parentUuid, []);
+      }
+      children.get(parentUuid).push(msg);
+    } else {
+      roots.push(msg);
+    }
+  });
+  
+  const byCreation = (a, b) =>
+    (new Date(a.created_at) - new Date(b.created_at)) || ((a.index || 0) - (b.index || 0));
+  roots.sort(byCreation);
+  children.forEach(siblings => siblings.sort(byCreation));
+  
+  return { messageMap, children, roots };
+}
+
+// List every leaf of the message tree in depth-first order
+function getAllLeaves(tree) {
+  const leaves = [];
+  const stack = [...tree.roots].reverse();
+  
+  while (stack.length > 0) {
+    const message = stack.pop();
+    const kids = tree.children.get(message.uuid) || [];
+    if (kids.length === 0) {
+      leaves.push(message);
+    } else {
+      stack.push(...[...kids].reverse());
+    }
   }
   
-  // Get only the current branch messages
-  const branchMessages = getCurrentBranch(data);
+  return leaves;
+}
+
+// Find the newest leaf below a message, so a branch containing that message can be shown
+function getLatestLeafUnder(tree, messageUuid) {
+  let message = tree.messageMap.get(messageUuid);
+  while (message && (tree.children.get(message.uuid) || []).length > 0) {
+    const kids = tree.children.get(message.uuid);
+    message = kids[kids.length - 1];
+  }
+  return message;
+}
+
+// Walk the message tree depth-first, printing each shared prefix only once
+// Callbacks receive fork labels, messages and leaves in document order
+function walkMessageTree(tree, { onFork, onMessage, onLeaf }) {
+  const walk = (siblings, position) => {
+    siblings.forEach((first, i) => {
+      if (siblings.length > 1) {
+        onFork(i + 1, siblings.length, position);
+      }
+      
+      // Follow the chain until the next fork or the end of the branch
+      let message = first;
+      let messagePosition = position;
+      while (message) {
+        onMessage(message, messagePosition);
+        const kids = tree.children.get(message.uuid) || [];
+        if (kids.length === 0) {
+          onLeaf(message);
+          message = null;
+        } else if (kids.length > 1) {
+          walk(kids, messagePosition + 1);
+          message = null;
+        } else {
+          message = kids[0];
+          messagePosition++;
+        }
+      }
+    });
+  };
   
-  for (const message of branchMessages) {
-    const sender = message.sender === 'human' ? '**You**' : '**Claude**';
-    markdown += `${sender}:\n\n`;
+  walk(tree.roots, 1);
+}
+
+// Get the plain text of a message
+function getMessageText(message) {
+  let messageText = '';
+  if (message.content) {
+    for (const content of message.content) {
+      if (content.text) {
+        messageText += content.text;
+      }
+    }
+  } else if (message.text) {
+    messageText = message.text;
+  }
+  return messageText;
+}
+
+// Short one-line preview of a message, used in branch tables of contents
+function getMessagePreview(message, maxLength = 60) {
+  const text = getMessageText(message).replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+// Wrap text in a code fence longer than any backtick run inside it
+function fenceCode(text, language = '') {
+  const longestRun = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+// Collect the unique sources cited by a text block
+function getCitationSources(content) {
+  const sources = [];
+  const seen = new Set();
+  (content.citations || []).forEach(citation => {
+    const url = citation.url || (citation.details && citation.details.url) || (citation.metadata && citation.metadata.url);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    sources.push({ url, title: citation.title || (citation.metadata && citation.metadata.title) || url });
+  });
+  return sources;
+}
+
+// Split a tool result into plain text and linked search results
+function getToolResultParts(content) {
+  const parts = { text: '', links: [] };
+  const items = Array.isArray(content.content) ? content.content : [content.content];
+  items.forEach(item => {
+    if (!item) return;
+    if (typeof item === 'string') {
+      parts.text += item;
+    } else if (item.type === 'knowledge' && item.url) {
+      parts.links.push({ url: item.url, title: item.title || item.url });
+    } else if (item.text) {
+      parts.text += item.text;
+    }
+  });
+  return parts;
+}
+
+// Rough token count of a text, at about 4 characters per token
+// Claude's tokenizer isn't available offline, so this is only meant for comparisons and totals
+function estimateTokens(text) {
+  return text ? Math.ceil(String(text).length / 4) : 0;
+}
+
+// Short numbers for token counts and chart axes: 1.2K, 35M
+function formatStatNumber(value) {
+  return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+// Estimated tokens of one content block: text, thinking, a tool call's input or a tool result
+function estimateContentTokens(content) {
+  switch (content.type) {
+    case 'tool_use':
+      return estimateTokens(JSON.stringify(content.input || {}));
+    case 'tool_result':
+      return estimateTokens(getToolResultParts(content).text);
+    case 'thinking':
+      return estimateTokens(content.thinking);
+    default:
+      return estimateTokens(content.text);
+  }
+}
+
+// The content blocks of a message; older messages only have text
+function getMessageBlocks(message) {
+  return Array.isArray(message.content) && message.content.length > 0
+    ? message.content
+    : [{ type: 'text', text: message.text }];
+}
+
+// Estimated tokens of a message, all of its content blocks together
+function estimateMessageTokens(message) {
+  return getMessageBlocks(message).reduce((total, content) => total + estimateContentTokens(content), 0);
+}
+
+// Estimated tokens of the current branch: { human, assistant, tool, total }
+// Tool calls and tool results count as tool tokens whoever sent them; thinking counts as Claude's
+function estimateBranchTokens(data) {
+  const tokens = { human: 0, assistant: 0, tool: 0, total: 0 };
+  getCurrentBranch(data).forEach(message => {
+    getMessageBlocks(message).forEach(content => {
+      const count = estimateContentTokens(content);
+      const part = content.type === 'tool_use' || content.type === 'tool_result'
+        ? 'tool'
+        : (message.sender === 'human' ? 'human' : 'assistant');
+      tokens[part] += count;
+      tokens.total += count;
+    });
+  });
+  return tokens;
+}
+
+// Describe a branch estimate for metadata headers, e.g. "12,345 (You 1,234, Claude 10,000, tools 1,111)"
+function formatTokenEstimate(tokens, humanLabel = 'You', assistantLabel = 'Claude') {
+  return `${tokens.total.toLocaleString()} (${humanLabel} ${tokens.human.toLocaleString()}, ` +
+    `${assistantLabel} ${tokens.assistant.toLocaleString()}, tools ${tokens.tool.toLocaleString()})`;
+}
+
+// Context window in tokens, for warnings about branches that won't fit
+// Every current Claude model has the same one
+const CONTEXT_WINDOW_TOKENS = 200000;
+
+// Keep only the newest turns of the current branch that fit in a token budget, e.g. to continue a long
+// conversation through the API. A turn is one of your messages with everything up to the next one;
+// the newest turn is kept even when it alone is over the budget
+// Returns a copy holding only the kept messages, with what was left out under truncated
+function truncateToLastTokens(data, maxTokens) {
+  const branch = getCurrentBranch(data);
+  const turns = [];
+  branch.forEach(message => {
+    if (message.sender === 'human' || turns.length === 0) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(message);
+  });
+  
+  let kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const tokens = turns[i].reduce((total, message) => total + estimateMessageTokens(message), 0);
+    if (kept.length > 0 && used + tokens > maxTokens) break;
+    kept = [...turns[i], ...kept];
+    used += tokens;
+  }
+  
+  if (kept.length === branch.length) {
+    return data;
+  }
+  return {
+    ...data,
+    chat_messages: kept,
+    truncated: { max_tokens: maxTokens, kept_messages: kept.length, dropped_messages: branch.length - kept.length }
+  };
+}
+
+// Note for metadata headers on what a truncated export left out, or '' if nothing was
+function describeTruncation(data) {
+  if (!data.truncated) return '';
+  const { max_tokens: maxTokens, dropped_messages: dropped } = data.truncated;
+  return `last ${maxTokens.toLocaleString()} tokens only, ${dropped} earlier ${dropped === 1 ? 'message' : 'messages'} left out`;
+}
+
+// How Markdown exports look; the defaults give the original output
+// turnStyle: 'bold' (**You**: and a rule after each turn), 'heading' (## You) or 'callout' (> [!human] You, for Obsidian)
+// timestamps: 'locale' or 'iso'; wikiLinks turns claude.ai/chat links into [[wiki links]]
+const DEFAULT_MARKDOWN_SETTINGS = {
+  frontmatter: false,
+  tags: '',
+  humanLabel: 'You',
+  assistantLabel: 'Claude',
+  turnStyle: 'bold',
+  timestamps: 'locale',
+  wikiLinks: false
+};
+
+// Presets that are always available; the options page adds the user's own
+const BUILT_IN_MARKDOWN_PRESETS = {
+  Default: DEFAULT_MARKDOWN_SETTINGS,
+  Obsidian: { ...DEFAULT_MARKDOWN_SETTINGS, frontmatter: true, tags: 'claude', turnStyle: 'callout', timestamps: 'iso', wikiLinks: true },
+  'Static site': { ...DEFAULT_MARKDOWN_SETTINGS, frontmatter: true, turnStyle: 'heading', timestamps: 'iso' }
+};
+
+// Load every Markdown preset, built-in ones first, and the name of the one exports use
+async function getMarkdownPresets() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['markdownPresets', 'markdownPreset'], (result) => {
+      const presets = { ...result.markdownPresets, ...BUILT_IN_MARKDOWN_PRESETS };
+      const active = presets[result.markdownPreset] ? result.markdownPreset : 'Default';
+      resolve({ presets, active });
+    });
+  });
+}
+
+// Load the settings of the Markdown preset chosen in the options
+async function getMarkdownSettings() {
+  const { presets, active } = await getMarkdownPresets();
+  return { ...DEFAULT_MARKDOWN_SETTINGS, ...presets[active] };
+}
+
+// The Markdown settings an export was given, completed with the defaults
+function getMarkdownStyle(options) {
+  return { ...DEFAULT_MARKDOWN_SETTINGS, ...options.markdown };
+}
+
+// Format a date for Markdown output
+function formatMarkdownDate(value, style) {
+  const date = new Date(value);
+  return style.timestamps === 'iso' ? date.toISOString() : date.toLocaleString();
+}
+
+// YAML frontmatter with the conversation's details, for Obsidian and static site generators
+// Strings are written as JSON, which is valid YAML and needs no further escaping
+// The token estimate is only added with the other metadata
+function renderFrontmatter(data, style, includeMetadata) {
+  const tags = style.tags.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean);
+  const fields = [
+    ['title', data.name || 'Untitled Conversation'],
+    ['uuid', data.uuid],
+    ['model', data.model],
+    ['created', data.created_at && new Date(data.created_at).toISOString()],
+    ['updated', data.updated_at && new Date(data.updated_at).toISOString()],
+    ['estimated_tokens', includeMetadata && estimateBranchTokens(data).total],
+    ['project', data.project?.name],
+    ['tags', tags.length > 0 ? tags : null],
+    ['source', data.uuid && `https://claude.ai/chat/${data.uuid}`],
+    // Lets [[uuid]] wiki links from other conversations find this one
+    ['aliases', style.wikiLinks && data.uuid ? [data.uuid] : null]
+  ];
+  
+  const lines = fields
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+// Turn links to claude.ai conversations into [[wiki links]] by uuid, which the aliases in their frontmatter resolve
+// Bulk exports point the links between their own conversations at the exported files (see linkExportedConversations)
+function convertChatLinksToWikiLinks(markdown) {
+  const chatUrl = '(?:https?://)?(?:www\\.)?claude\\.ai/chat/([0-9a-f-]{36})[\\w#?=&%-]*';
+  
+  return markdown
+    .replace(new RegExp(`\\[([^\\]\\n]*)\\]\\(${chatUrl}\\)`, 'gi'), (match, text, uuid) => {
+      const label = text.replace(/[[\]|]/g, '');
+      return label ? `[[${uuid}|${label}]]` : `[[${uuid}]]`;
+    })
+    .replace(new RegExp(chatUrl, 'gi'), (match, uuid) => `[[${uuid}]]`);
+}
+
+// Point [[uuid]] wiki links at the files the linked conversations were exported as
+// paths maps conversation uuids to their file paths without the extension; links use the file name alone,
+// or the whole path when several exported files share that name
+function linkExportedConversations(markdown, paths) {
+  const nameCounts = new Map();
+  paths.forEach(path => {
+    const name = path.split('/').pop().toLowerCase();
+    nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+  });
+  
+  return markdown.replace(/\[\[([0-9a-f-]{36})(?=[|\]])/gi, (match, uuid) => {
+    const path = paths.get(uuid.toLowerCase());
+    if (!path) return match;
+    const name = path.split('/').pop();
+    return `[[${(nameCounts.get(name.toLowerCase()) > 1 ? path : name).replace(/[[\]|#^]/g, '')}`;
+  });
+}
+
+// Render one message as markdown
+// Options: toolUse, toolResults, citations, thinking - which non-text content blocks to include,
+// artifactLinks - artifact tool calls to replace with links to their extracted files,
+// attachmentLinks - downloaded attachments to reference, keyed by message UUID,
+// markdown - speaker labels, turn style and timestamps (see DEFAULT_MARKDOWN_SETTINGS)
+function renderMessageMarkdown(message, includeMetadata, options = {}) {
+  const style = getMarkdownStyle(options);
+  let markdown = '';
+  
+  if (message.content) {
+    for (const content of message.content) {
+      markdown += renderContentBlockMarkdown(content, options);
+    }
+  } else if (message.text) {
+    markdown += `${message.text}\n\n`;
+  }
+  
+  const attachments = options.attachmentLinks && options.attachmentLinks.get(message.uuid);
+  if (attachments) {
+    attachments.forEach(attachment => {
+      if (!attachment.path) {
+        markdown += `📎 ${attachment.name} *(not downloaded)*\n\n`;
+      } else if (attachment.isImage) {
+        markdown += `![${attachment.name}](${encodeURI(attachment.path)})\n\n`;
+      } else {
+        markdown += `📎 [${attachment.name}](${encodeURI(attachment.path)})\n\n`;
+      }
+    });
+  }
+  
+  if (includeMetadata && message.created_at) {
+    markdown += `*${formatMarkdownDate(message.created_at, style)}*\n\n`;
+  }
+  
+  const label = message.sender === 'human' ? style.humanLabel : style.assistantLabel;
+  switch (style.turnStyle) {
+    case 'heading':
+      return `## ${label}\n\n${markdown}`;
+    case 'callout': {
+      const type = message.sender === 'human' ? 'human' : 'assistant';
+      const lines = markdown.trimEnd().split('\n').map(line => (line ? `> ${line}` : '>'));
+      return `> [!${type}] ${label}\n${lines.join('\n')}\n\n`;
+    }
+    default:
+      return `**${label}**:\n\n${markdown}---\n\n`;
+  }
+}
+
+// Render a single content block as markdown, using collapsible sections for everything but text
+function renderContentBlockMarkdown(content, options) {
+  const details = (summary, body) => `<details>\n<summary>${summary}</summary>\n\n${body}\n\n</details>\n\n`;
+  
+  // Artifacts written to their own files are linked instead of repeated
+  if (options.artifactLinks && options.artifactLinks.has(content)) {
+    const artifact = options.artifactLinks.get(content);
+    return `**Artifact:** [${artifact.title}](${encodeURI(artifact.path)})\n\n`;
+  }
+  
+  switch (content.type) {
+    case 'tool_use':
+      if (!options.toolUse) return '';
+      return details(`Tool call: ${content.name}`, fenceCode(JSON.stringify(content.input || {}, null, 2), 'json'));
+    case 'tool_result': {
+      if (!options.toolResults) return '';
+      const parts = getToolResultParts(content);
+      let body = parts.text ? fenceCode(parts.text) : '';
+      if (parts.links.length > 0) {
+        body += (body ? '\n\n' : '') + parts.links.map(link => `- [${link.title}](${link.url})`).join('\n');
+      }
+      const status = content.is_error ? ' (error)' : '';
+      return details(`Tool result: ${content.name || 'tool'}${status}`, body || '*No output*');
+    }
+    case 'thinking':
+      if (!options.thinking || !content.thinking) return '';
+      return details('Thinking', content.thinking);
+    default: {
+      if (!content.text) return '';
+      let markdown = `${content.text}\n\n`;
+      const sources = options.citations ? getCitationSources(content) : [];
+      if (sources.length > 0) {
+        markdown += 'Sources:\n\n' + sources.map((source, i) => `${i + 1}. [${source.title}](${source.url})`).join('\n') + '\n\n';
+      }
+      return markdown;
+    }
+  }
+}
+
+// Render the text of one message, with indented sections for non-text content blocks
+function renderMessageText(message, options = {}) {
+  const indent = (body) => body.split('\n').map(line => `    ${line}`).join('\n');
+  const section = (label, body) => `\n  [${label}]\n${indent(body)}\n\n`;
+  let messageText = message.content ? '' : (message.text || '');
+  
+  for (const content of message.content || []) {
+    if (options.artifactLinks && options.artifactLinks.has(content)) {
+      const artifact = options.artifactLinks.get(content);
+      messageText += section(`Artifact: ${artifact.title}`, artifact.path);
+      continue;
+    }
     
-    if (message.content) {
-      for (const content of message.content) {
+    switch (content.type) {
+      case 'tool_use':
+        if (options.toolUse) {
+          messageText += section(`Tool call: ${content.name}`, JSON.stringify(content.input || {}, null, 2));
+        }
+        break;
+      case 'tool_result':
+        if (options.toolResults) {
+          const parts = getToolResultParts(content);
+          const links = parts.links.map(link => `- ${link.title} <${link.url}>`).join('\n');
+          const status = content.is_error ? ' (error)' : '';
+          messageText += section(`Tool result: ${content.name || 'tool'}${status}`, [parts.text, links].filter(Boolean).join('\n') || '(no output)');
+        }
+        break;
+      case 'thinking':
+        if (options.thinking && content.thinking) {
+          messageText += section('Thinking', content.thinking);
+        }
+        break;
+      default:
         if (content.text) {
-          markdown += `${content.text}\n\n`;
+          messageText += content.text;
+          const sources = options.citations ? getCitationSources(content) : [];
+          if (sources.length > 0) {
+            messageText += section('Sources', sources.map((source, i) => `${i + 1}. ${source.title} <${source.url}>`).join('\n'));
+          }
         }
-      }
-    } else if (message.text) {
-      markdown += `${message.text}\n\n`;
     }
-    
-    if (includeMetadata && message.created_at) {
-      markdown += `*${new Date(message.created_at).toLocaleString()}*\n\n`;
+  }
+  
+  const attachments = options.attachmentLinks && options.attachmentLinks.get(message.uuid);
+  if (attachments) {
+    attachments.forEach(attachment => {
+      messageText += section(`Attachment: ${attachment.name}`, attachment.path || '(not downloaded)');
+    });
+  }
+  
+  return messageText.trimEnd();
+}
+
+// Convert to markdown format
+// Options: allBranches - render every edit and regeneration instead of only the current branch,
+// plus the content block toggles and markdown settings accepted by renderMessageMarkdown
+function convertToMarkdown(data, includeMetadata, options = {}) {
+  const style = getMarkdownStyle(options);
+  let markdown = style.frontmatter ? renderFrontmatter(data, style, includeMetadata) : '';
+  markdown += `# ${data.name || 'Untitled Conversation'}\n\n`;
+  
+  // Conversations from a Project name it, since they depend on its instructions and knowledge
+  const project = data.project?.name ? `**Project:** ${data.project.name}\n` : '';
+  if (!includeMetadata && project) {
+    markdown += `${project}\n`;
+  }
+  
+  if (includeMetadata) {
+    markdown += project;
+    markdown += `**Created:** ${formatMarkdownDate(data.created_at, style)}\n`;
+    markdown += `**Updated:** ${formatMarkdownDate(data.updated_at, style)}\n`;
+    markdown += `**Model:** ${data.model}\n`;
+    markdown += `**Estimated tokens:** ${formatTokenEstimate(estimateBranchTokens(data), style.humanLabel, style.assistantLabel)}\n`;
+    if (data.truncated) {
+      markdown += `**Truncated:** ${describeTruncation(data)}\n`;
     }
-    
-    markdown += '---\n\n';
+    markdown += '\n---\n\n';
+  }
+  
+  const messages = renderMarkdownMessages(data, includeMetadata, options);
+  return markdown + (style.wikiLinks ? convertChatLinksToWikiLinks(messages) : messages);
+}
+
+// Render the messages of a conversation as markdown, without the title and metadata header
+function renderMarkdownMessages(data, includeMetadata, options = {}) {
+  if (options.allBranches) {
+    return convertTreeToMarkdown(data, includeMetadata, options);
+  }
+  
+  // Get only the current branch messages
+  const branchMessages = getCurrentBranch(data);
+  let markdown = '';
+  
+  for (const message of branchMessages) {
+    markdown += renderMessageMarkdown(message, includeMetadata, options);
   }
   
   return markdown;
 }
 
+// Render the whole message tree as markdown, with a table of contents linking to every leaf
+function convertTreeToMarkdown(data, includeMetadata, options) {
+  const tree = buildMessageTree(data);
+  const leaves = getAllLeaves(tree);
+  const leafNumbers = new Map(leaves.map((leaf, i) => [leaf.uuid, i + 1]));
+  
+  let markdown = '## Branches\n\n';
+  leaves.forEach((leaf, i) => {
+    const length = getBranchToLeaf(data, leaf.uuid).length;
+    const current = leaf.uuid === data.current_leaf_message_uuid ? ' (current)' : '';
+    markdown += `- [Branch ${i + 1}${current}](#leaf-${i + 1}) - ${length} messages, ends: "${getMessagePreview(leaf)}"\n`;
+  });
+  markdown += '\n---\n\n';
+  
+  walkMessageTree(tree, {
+    onFork: (number, count, position) => {
+      markdown += `### Branch ${number} of ${count} at message ${position}\n\n`;
+    },
+    onMessage: (message) => {
+      markdown += renderMessageMarkdown(message, includeMetadata, options);
+    },
+    onLeaf: (leaf) => {
+      const number = leafNumbers.get(leaf.uuid);
+      const current = leaf.uuid === data.current_leaf_message_uuid ? ' (current)' : '';
+      markdown += `<a id="leaf-${number}"></a>*End of branch ${number}${current}*\n\n`;
+    }
+  });
+  
+  return markdown;
+}
+
 // Convert to plain text
-function convertToText(data, includeMetadata) {
+// Options: allBranches - render every edit and regeneration instead of only the current branch,
+// plus the content block toggles accepted by renderMessageMarkdown
+function convertToText(data, includeMetadata, options = {}) {
   let text = '';
   
   // Add metadata header if requested
@@ -77,29 +688,20 @@ function convertToText(data, includeMetadata) {
     text += `${data.name || 'Untitled Conversation'}\n`;
     text += `Created: ${new Date(data.created_at).toLocaleString()}\n`;
     text += `Updated: ${new Date(data.updated_at).toLocaleString()}\n`;
-    text += `Model: ${data.model}\n\n`;
-    text += '---\n\n';
+    text += `Model: ${data.model}\n`;
+    text += `Estimated tokens: ${formatTokenEstimate(estimateBranchTokens(data))}\n`;
+    if (data.truncated) {
+      text += `Truncated: ${describeTruncation(data)}\n`;
+    }
+    text += '\n---\n\n';
   }
   
-  // Get only the current branch messages
-  const branchMessages = getCurrentBranch(data);
-  
   // Use simplified format
   let humanSeen = false;
   let assistantSeen = false;
   
-  branchMessages.forEach((message) => {
-    // Get the message text
-    let messageText = '';
-    if (message.content) {
-      for (const content of message.content) {
-        if (content.text) {
-          messageText += content.text;
-        }
-      }
-    } else if (message.text) {
-      messageText = message.text;
-    }
+  const renderMessage = (message) => {
+    const messageText = renderMessageText(message, options);
     
     // Use full label on first occurrence, then abbreviate
     let senderLabel;
@@ -112,11 +714,1582 @@ function convertToText(data, includeMetadata) {
     }
     
     text += `${senderLabel}: ${messageText}\n\n`;
-  });
+  };
+  
+  if (options.allBranches) {
+    const tree = buildMessageTree(data);
+    const leaves = getAllLeaves(tree);
+    const leafNumbers = new Map(leaves.map((leaf, i) => [leaf.uuid, i + 1]));
+    
+    text += 'Branches:\n';
+    leaves.forEach((leaf, i) => {
+      const length = getBranchToLeaf(data, leaf.uuid).length;
+      const current = leaf.uuid === data.current_leaf_message_uuid ? ' (current)' : '';
+      text += `  [Leaf ${i + 1}]${current} ${length} messages, ends: "${getMessagePreview(leaf)}"\n`;
+    });
+    text += '\n---\n\n';
+    
+    walkMessageTree(tree, {
+      onFork: (number, count, position) => {
+        text += `=== Branch ${number} of ${count} at message ${position} ===\n\n`;
+      },
+      onMessage: renderMessage,
+      onLeaf: (leaf) => {
+        const current = leaf.uuid === data.current_leaf_message_uuid ? ' (current)' : '';
+        text += `[Leaf ${leafNumbers.get(leaf.uuid)}]${current} End of branch\n\n`;
+      }
+    });
+    
+    return text.trim();
+  }
+  
+  // Get only the current branch messages
+  getCurrentBranch(data).forEach(renderMessage);
   
   return text.trim();
 }
 
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Keywords highlighted in code blocks, shared across languages
+const HIGHLIGHT_KEYWORDS = new Set(('abstract and as async await break case catch class const continue def default del do elif else ' +
+  'enum except export extends false finally fn for from func function if impl import in instanceof interface is lambda let ' +
+  'match mod new nil none not null or package pass private protected pub public raise return select self static struct ' +
+  'super switch this throw true try type typeof undefined use var void where while with yield').split(' '));
+
+// Comment syntax per language family
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'py', 'ruby', 'rb', 'shell', 'sh', 'bash', 'zsh', 'yaml', 'yml', 'toml', 'r', 'perl', 'powershell', 'ps1', 'dockerfile', 'makefile', 'elixir']);
+const DASH_COMMENT_LANGUAGES = new Set(['sql', 'lua', 'haskell']);
+const MARKUP_LANGUAGES = new Set(['html', 'xml', 'svg', 'vue']);
+
+// Lightweight syntax highlighting for comments, strings, numbers and keywords
+// Returns escaped HTML with spans that the export stylesheet colours
+function highlightCode(code, language = '') {
+  const lang = language.toLowerCase();
+  if (!lang || lang === 'text' || lang === 'plaintext' || lang === 'markdown' || lang === 'md') {
+    return escapeHtml(code);
+  }
+  
+  let comment = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  if (HASH_COMMENT_LANGUAGES.has(lang)) comment = '#[^\\n]*';
+  if (DASH_COMMENT_LANGUAGES.has(lang)) comment = '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  if (MARKUP_LANGUAGES.has(lang)) comment = '<!--[\\s\\S]*?-->';
+  
+  const pattern = new RegExp(`(${comment})|("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`, 'g');
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(code)) !== null) {
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    lastIndex = pattern.lastIndex;
+    const [token, isComment, isString, isNumber, word] = match;
+    
+    if (isComment) {
+      html += `<span class="hl-comment">${escapeHtml(token)}</span>`;
+    } else if (isString) {
+      html += `<span class="hl-string">${escapeHtml(token)}</span>`;
+    } else if (isNumber) {
+      html += `<span class="hl-number">${token}</span>`;
+    } else if (word && HIGHLIGHT_KEYWORDS.has(word.toLowerCase()) && !MARKUP_LANGUAGES.has(lang)) {
+      html += `<span class="hl-keyword">${token}</span>`;
+    } else {
+      html += escapeHtml(token);
+    }
+  }
+  
+  return html + escapeHtml(code.slice(lastIndex));
+}
+
+// Only allow link targets that cannot run script
+function safeUrl(url) {
+  return /^\s*(javascript|vbscript|data):/i.test(url) ? '#' : url;
+}
+
+// Render inline markdown (code spans, links, images, emphasis) to HTML
+function renderInlineMarkdown(text) {
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`\n]+)`/g, (match, code) => {
+    codeSpans.push(code);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+  
+  html = html
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => `<img alt="${alt}" src="${safeUrl(src)}">`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => `<a href="${safeUrl(href)}" target="_blank" rel="noopener">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, i) => `<code>${codeSpans[i]}</code>`);
+}
+
+// Render a code block with highlighting
+function renderCodeBlockHtml(code, language = '') {
+  const label = language ? `<div class="code-language">${escapeHtml(language)}</div>` : '';
+  return `<div class="code-block">${label}<pre><code>${highlightCode(code, language)}</code></pre></div>`;
+}
+
+// Convert markdown to HTML
+// Covers what Claude writes: fenced code, headings, lists, block quotes, tables, rules and inline styles
+function markdownToHtml(markdown) {
+  const lines = String(markdown).replace(/\r\n/g, '\n').split('\n');
+  const isListItem = (line) => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+  const isTableDivider = (line) => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line);
+  const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+  const startsBlock = (line, next) => /^(```|~~~|#{1,6}\s|>)/.test(line.trim()) || isListItem(line) ||
+    /^(\*{3,}|-{3,}|_{3,})\s*$/.test(line.trim()) || (line.includes('|') && next !== undefined && isTableDivider(next));
+  let html = '';
+  let i = 0;
+  
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+    
+    // Fenced code block
+    const fence = trimmed.match(/^(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      html += renderCodeBlockHtml(code.join('\n'), fence[2]);
+      continue;
+    }
+    
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      html += `<h${heading[1].length}>${renderInlineMarkdown(heading[2])}</h${heading[1].length}>`;
+      i++;
+      continue;
+    }
+    
+    if (/^(\*{3,}|-{3,}|_{3,})\s*$/.test(trimmed)) {
+      html += '<hr>';
+      i++;
+      continue;
+    }
+    
+    if (trimmed.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      html += `<blockquote>${markdownToHtml(quote.join('\n'))}</blockquote>`;
+      continue;
+    }
+    
+    if (line.includes('|') && i + 1 < lines.length && isTableDivider(lines[i + 1])) {
+      const header = splitRow(line);
+      i += 2;
+      let rows = '';
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows += `<tr>${splitRow(lines[i]).map(cell => `<td>${renderInlineMarkdown(cell)}</td>`).join('')}</tr>`;
+        i++;
+      }
+      html += `<table><thead><tr>${header.map(cell => `<th>${renderInlineMarkdown(cell)}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>`;
+      continue;
+    }
+    
+    if (isListItem(line)) {
+      // Collect the list, including indented continuation lines and nested lists
+      const baseIndent = line.match(/^\s*/)[0].length;
+      const ordered = /^\s*\d+[.)]/.test(line);
+      const items = [];
+      while (i < lines.length) {
+        const current = lines[i];
+        const indent = current.match(/^\s*/)[0].length;
+        if (!current.trim()) {
+          const next = lines[i + 1];
+          if (next === undefined || (!isListItem(next) && next.match(/^\s*/)[0].length <= baseIndent)) break;
+          i++;
+          continue;
+        }
+        if (indent <= baseIndent && isListItem(current)) {
+          if (/^\s*\d+[.)]/.test(current) !== ordered) break;
+          items.push([current.replace(/^\s*([-*+]|\d+[.)])\s+/, '')]);
+        } else if (indent > baseIndent && items.length > 0) {
+          items[items.length - 1].push(current.slice(Math.min(indent, baseIndent + 2)));
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html += `<${tag}>${items.map(([first, ...rest]) =>
+        `<li>${renderInlineMarkdown(first)}${rest.length ? markdownToHtml(rest.join('\n')) : ''}</li>`).join('')}</${tag}>`;
+      continue;
+    }
+    
+    // Paragraph: everything up to the next blank line or block
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html += `<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`;
+  }
+  
+  return html;
+}
+
+// Render a single content block as HTML
+function renderContentBlockHtml(content, options) {
+  const details = (summary, body) => `<details class="block"><summary>${escapeHtml(summary)}</summary>${body}</details>`;
+  
+  if (options.artifactLinks && options.artifactLinks.has(content)) {
+    const artifact = options.artifactLinks.get(content);
+    return `<p class="artifact-link">Artifact: <a href="${escapeHtml(encodeURI(artifact.path))}" target="_blank">${escapeHtml(artifact.title)}</a></p>`;
+  }
+  
+  switch (content.type) {
+    case 'tool_use':
+      if (!options.toolUse) return '';
+      return details(`Tool call: ${content.name}`, renderCodeBlockHtml(JSON.stringify(content.input || {}, null, 2), 'json'));
+    case 'tool_result': {
+      if (!options.toolResults) return '';
+      const parts = getToolResultParts(content);
+      let body = parts.text ? renderCodeBlockHtml(parts.text) : '';
+      if (parts.links.length > 0) {
+        body += `<ul>${parts.links.map(link => `<li><a href="${escapeHtml(safeUrl(link.url))}" target="_blank" rel="noopener">${escapeHtml(link.title)}</a></li>`).join('')}</ul>`;
+      }
+      const status = content.is_error ? ' (error)' : '';
+      return details(`Tool result: ${content.name || 'tool'}${status}`, body || '<p><em>No output</em></p>');
+    }
+    case 'thinking':
+      if (!options.thinking || !content.thinking) return '';
+      return details('Thinking', markdownToHtml(content.thinking));
+    default: {
+      if (!content.text) return '';
+      let html = markdownToHtml(content.text);
+      const sources = options.citations ? getCitationSources(content) : [];
+      if (sources.length > 0) {
+        html += `<div class="sources">Sources: <ol>${sources.map(source =>
+          `<li><a href="${escapeHtml(safeUrl(source.url))}" target="_blank" rel="noopener">${escapeHtml(source.title)}</a></li>`).join('')}</ol></div>`;
+      }
+      return html;
+    }
+  }
+}
+
+// Render one message as an HTML chat bubble
+// Human messages keep their line breaks as typed; Claude's replies are rendered as markdown
+function renderMessageHtml(message, includeMetadata, options = {}) {
+  let body = '';
+  
+  if (message.sender === 'human') {
+    const text = message.content
+      ? message.content.filter(content => content.text).map(content => content.text).join('\n\n')
+      : (message.text || '');
+    body += `<div class="human-text">${escapeHtml(text)}</div>`;
+    (message.content || []).filter(content => !content.text).forEach(content => {
+      body += renderContentBlockHtml(content, options);
+    });
+  } else if (message.content) {
+    message.content.forEach(content => {
+      body += renderContentBlockHtml(content, options);
+    });
+  } else if (message.text) {
+    body += markdownToHtml(message.text);
+  }
+  
+  const attachments = options.attachmentLinks && options.attachmentLinks.get(message.uuid);
+  if (attachments) {
+    body += '<div class="attachments">';
+    attachments.forEach(attachment => {
+      if (!attachment.path) {
+        body += `<div class="attachment">📎 ${escapeHtml(attachment.name)} <em>(not downloaded)</em></div>`;
+      } else if (attachment.isImage) {
+        body += `<a href="${escapeHtml(encodeURI(attachment.path))}" target="_blank"><img src="${escapeHtml(encodeURI(attachment.path))}" alt="${escapeHtml(attachment.name)}"></a>`;
+      } else {
+        body += `<div class="attachment">📎 <a href="${escapeHtml(encodeURI(attachment.path))}" target="_blank">${escapeHtml(attachment.name)}</a></div>`;
+      }
+    });
+    body += '</div>';
+  }
+  
+  const sender = message.sender === 'human' ? 'You' : 'Claude';
+  const time = includeMetadata && message.created_at
+    ? `<time datetime="${escapeHtml(message.created_at)}">${escapeHtml(new Date(message.created_at).toLocaleString())}</time>`
+    : '';
+  
+  return `<div class="message-header"><span class="sender">${sender}</span>${time}</div><div class="message-body">${body}</div>`;
+}
+
+// Render every message of the conversation tree for the chat view
+// Messages off the current branch start hidden; the branch switcher reveals them
+function renderConversationHtml(data, includeMetadata, options = {}) {
+  const tree = buildMessageTree(data);
+  const currentPath = new Set(getCurrentBranch(data).map(message => message.uuid));
+  const siblingsOf = (message) => {
+    const parentUuid = message.parent_message_uuid;
+    return tree.children.get(parentUuid) || (tree.messageMap.has(parentUuid) ? [message] : tree.roots);
+  };
+  let html = '';
+  
+  walkMessageTree(tree, {
+    onFork: () => {},
+    onMessage: (message) => {
+      const siblings = siblingsOf(message);
+      const position = siblings.indexOf(message);
+      const parentKey = tree.messageMap.has(message.parent_message_uuid) ? message.parent_message_uuid : 'root';
+      const switcher = siblings.length > 1
+        ? `<div class="branch-switcher" data-parent="${escapeHtml(parentKey)}"><button class="branch-prev" data-index="${position - 1}"${position === 0 ? ' disabled' : ''}>‹</button><span>${position + 1} / ${siblings.length}</span><button class="branch-next" data-index="${position + 1}"${position === siblings.length - 1 ? ' disabled' : ''}>›</button></div>`
+        : '';
+      const hidden = currentPath.size > 0 && !currentPath.has(message.uuid) ? ' hidden' : '';
+      html += `<div class="message ${message.sender === 'human' ? 'human' : 'assistant'}" id="msg-${escapeHtml(message.uuid)}" data-uuid="${escapeHtml(message.uuid)}"${hidden}>${switcher}${renderMessageHtml(message, includeMetadata, options)}</div>`;
+    },
+    onLeaf: () => {}
+  });
+  
+  return html;
+}
+
+// Describe the message tree for the branch switcher: children per parent and the current branch
+function getBranchSwitcherData(data) {
+  const tree = buildMessageTree(data);
+  const children = { root: tree.roots.map(message => message.uuid) };
+  tree.children.forEach((siblings, parentUuid) => {
+    children[parentUuid] = siblings.map(message => message.uuid);
+  });
+  return { children, current: getCurrentBranch(data).map(message => message.uuid) };
+}
+
+// Wire up the branch switcher buttons in a rendered conversation
+// Also inlined into HTML exports, so it must not depend on anything else in this file
+function initBranchSwitcher(container, treeData) {
+  const selected = {};
+  const parentOf = {};
+  Object.keys(treeData.children).forEach(function (parent) {
+    treeData.children[parent].forEach(function (uuid) { parentOf[uuid] = parent; });
+  });
+  treeData.current.forEach(function (uuid) {
+    selected[parentOf[uuid]] = treeData.children[parentOf[uuid]].indexOf(uuid);
+  });
+  
+  function render() {
+    const visible = {};
+    let key = 'root';
+    while (treeData.children[key] && treeData.children[key].length) {
+      const kids = treeData.children[key];
+      const uuid = kids[selected[key] !== undefined ? selected[key] : kids.length - 1];
+      visible[uuid] = true;
+      key = uuid;
+    }
+    container.querySelectorAll('.message').forEach(function (el) {
+      el.hidden = !visible[el.dataset.uuid];
+    });
+  }
+  
+  container.addEventListener('click', function (event) {
+    const button = event.target.closest('.branch-prev, .branch-next');
+    if (!button || button.disabled) return;
+    selected[button.parentElement.dataset.parent] = Number(button.dataset.index);
+    render();
+  });
+  
+  render();
+}
+
+// Stylesheet for the chat view, shared by HTML exports
+const CHAT_VIEW_CSS = `
+  body { margin: 0; background: #f5f5f5; color: #333; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; }
+  .conversation-header { background: white; border-bottom: 1px solid #e0e0e0; padding: 20px; }
+  .conversation-header h1 { color: #5436DA; margin: 0 0 8px; font-size: 24px; }
+  .conversation-meta { color: #666; font-size: 13px; display: flex; gap: 15px; flex-wrap: wrap; align-items: center; }
+  .chat { max-width: 860px; margin: 20px auto; padding: 0 20px; }
+  .message { margin: 16px 0; padding: 14px 18px; border-radius: 12px; background: white; box-shadow: 0 1px 3px rgba(0,0,0,0.06); }
+  .message.human { background: #ece8fb; margin-left: 15%; }
+  .message.assistant { margin-right: 5%; }
+  .message[hidden] { display: none; }
+  .message-header { display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-bottom: 6px; }
+  .sender { font-weight: 600; color: #5436DA; }
+  .human-text { white-space: pre-wrap; word-wrap: break-word; }
+  .message-body img { max-width: 100%; border-radius: 6px; }
+  .message-body table { border-collapse: collapse; margin: 10px 0; }
+  .message-body th, .message-body td { border: 1px solid #ddd; padding: 6px 10px; }
+  .message-body blockquote { border-left: 3px solid #ccc; margin: 10px 0; padding-left: 12px; color: #555; }
+  .message-body code { background: #f0f0f0; border-radius: 3px; padding: 1px 4px; font-family: Menlo, Consolas, monospace; font-size: 90%; }
+  .code-block { margin: 10px 0; border-radius: 6px; overflow: hidden; background: #282c34; }
+  .code-language { background: #21252b; color: #abb2bf; font-size: 11px; padding: 4px 10px; }
+  .code-block pre { margin: 0; padding: 12px; overflow-x: auto; }
+  .code-block code { background: none; color: #abb2bf; padding: 0; font-size: 13px; }
+  .hl-comment { color: #7f848e; font-style: italic; }
+  .hl-string { color: #98c379; }
+  .hl-number { color: #d19a66; }
+  .hl-keyword { color: #c678dd; }
+  details.block { margin: 10px 0; border: 1px solid #e0e0e0; border-radius: 6px; padding: 6px 10px; background: #fafafa; }
+  details.block summary { cursor: pointer; font-size: 13px; color: #666; }
+  .sources { font-size: 13px; color: #666; }
+  .branch-switcher { float: right; font-size: 12px; color: #666; }
+  .branch-switcher button { border: none; background: #e0e0e0; border-radius: 4px; cursor: pointer; margin: 0 4px; }
+  .branch-switcher button:disabled { opacity: 0.4; cursor: default; }
+  .model-badge { display: inline-block; padding: 3px 8px; border-radius: 12px; font-size: 12px; font-weight: 500; background: #e8f4fd; color: #0066cc; }
+  .model-badge.sonnet { background: #fff3e0; color: #e65100; }
+  .model-badge.haiku { background: #e8f5e9; color: #2e7d32; }
+  .model-badge.opus { background: #f3e5f5; color: #7b1fa2; }
+  .index-table { width: 100%; border-collapse: collapse; background: white; }
+  .index-table th, .index-table td { padding: 10px 15px; text-align: left; border-bottom: 1px solid #f0f0f0; font-size: 14px; }
+`;
+
+// Convert to a self-contained HTML page with a chat view and branch switcher
+function convertToHtml(data, includeMetadata, options = {}) {
+  const title = data.name || 'Untitled Conversation';
+  const model = data.model || inferModel(data);
+  let meta = `<span class="model-badge ${getModelBadgeClass(model)}">${escapeHtml(formatModelName(model))}</span>`;
+  if (includeMetadata) {
+    meta += `<span>Created: ${escapeHtml(new Date(data.created_at).toLocaleString())}</span>`;
+    meta += `<span>Updated: ${escapeHtml(new Date(data.updated_at).toLocaleString())}</span>`;
+    meta += `<span>Estimated tokens: ${escapeHtml(formatTokenEstimate(estimateBranchTokens(data)))}</span>`;
+    if (data.truncated) {
+      meta += `<span>Truncated: ${escapeHtml(describeTruncation(data))}</span>`;
+    }
+  }
+  
+  // Escape "<" so message text can never close the script element early
+  const treeJson = JSON.stringify(getBranchSwitcherData(data)).replace(/</g, '\\u003c');
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${CHAT_VIEW_CSS}</style>
+</head>
+<body>
+<div class="conversation-header">
+<h1>${escapeHtml(title)}</h1>
+<div class="conversation-meta">${meta}</div>
+</div>
+<div class="chat" id="chat">${renderConversationHtml(data, includeMetadata, options)}</div>
+<script type="application/json" id="tree-data">${treeJson}</script>
+<script>(${initBranchSwitcher.toString()})(document.getElementById('chat'), JSON.parse(document.getElementById('tree-data').textContent));</script>
+</body>
+</html>
+`;
+}
+
+// Build the index.html for a bulk HTML export, linking to every conversation
+// Entries: { name, path, model, created_at, updated_at }, paths relative to the index
+function buildHtmlIndex(entries) {
+  const rows = entries.map(entry => `<tr>
+<td><a href="${escapeHtml(encodeURI(entry.path))}">${escapeHtml(entry.name || 'Untitled Conversation')}</a></td>
+<td>${escapeHtml(new Date(entry.updated_at).toLocaleDateString())}</td>
+<td>${escapeHtml(new Date(entry.created_at).toLocaleDateString())}</td>
+<td><span class="model-badge ${getModelBadgeClass(entry.model)}">${escapeHtml(formatModelName(entry.model))}</span></td>
+</tr>`).join('\n');
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Claude Conversations</title>
+<style>${CHAT_VIEW_CSS}</style>
+</head>
+<body>
+<div class="conversation-header">
+<h1>Claude Conversations</h1>
+<div class="conversation-meta"><span>${entries.length} conversations</span><span>Exported ${escapeHtml(new Date().toLocaleString())}</span></div>
+</div>
+<div class="chat">
+<table class="index-table">
+<thead><tr><th>Name</th><th>Last Updated</th><th>Created</th><th>Model</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</div>
+</body>
+</html>
+`;
+}
+
+// Characters outside Latin-1 that the standard PDF fonts can still draw (WinAnsi encoding)
+const PDF_EXTRA_CHARACTERS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+// Whether the standard PDF fonts can draw a character
+function isWinAnsiCharacter(char) {
+  return /[\x20-\x7E\xA0-\xFF]/.test(char) || PDF_EXTRA_CHARACTERS.includes(char);
+}
+
+// Bundled DejaVu fonts for text the standard fonts can't draw: Greek, Cyrillic, Hebrew, Arabic and many symbols
+// Italic text uses the regular face; CJK and emoji are in none of them
+const PDF_UNICODE_FONTS = {
+  sans: { normal: 'fonts/DejaVuSans.ttf', bold: 'fonts/DejaVuSans-Bold.ttf', italic: 'fonts/DejaVuSans.ttf' },
+  mono: { normal: 'fonts/DejaVuSansMono.ttf' }
+};
+
+let pdfFontFiles = null;
+
+// Load the bundled fonts once per page, as the binary strings jsPDF's virtual file system takes
+// Resolves with null when they can't be loaded, and PDFs fall back to the standard fonts
+function loadPdfFonts() {
+  if (!pdfFontFiles) {
+    const paths = [...new Set(Object.values(PDF_UNICODE_FONTS).flatMap(styles => Object.values(styles)))];
+    pdfFontFiles = Promise.all(paths.map(async path => {
+      const response = await fetch(chrome.runtime.getURL(path));
+      if (!response.ok) {
+        throw new Error(`Could not load ${path} (${response.status})`);
+      }
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return [path, binary];
+    }))
+      .then(entries => new Map(entries))
+      .catch(error => {
+        console.warn('Could not load the PDF fonts:', error);
+        return null;
+      });
+  }
+  return pdfFontFiles;
+}
+
+// Make text drawable in a PDF font: tabs become spaces, emoji joiners and variation selectors go,
+// and characters the font can't draw are replaced with ? (emoji are left out), calling onReplaced for each
+function toPdfText(text, canDraw = isWinAnsiCharacter, onReplaced = () => {}) {
+  return String(text)
+    .replace(/\r/g, '')
+    .replace(/\t/g, '    ')
+    .replace(/[\uFE0F\u200D]/g, '')
+    .replace(/[^\n]/gu, char => {
+      if (canDraw(char)) {
+        return char;
+      }
+      onReplaced();
+      return /[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}]/u.test(char) ? '' : '?';
+    });
+}
+
+// The note PDF exports carry, and the export pages show, when characters were replaced
+function describePdfReplacements(count) {
+  return `${count.toLocaleString()} character${count === 1 ? '' : 's'} the PDF fonts cannot show (such as CJK text or emoji) ${count === 1 ? 'was' : 'were'} replaced with ? or left out`;
+}
+
+// What bulk export messages append when some PDFs had characters replaced; empty when none had
+function describeExportWarnings(summary) {
+  const count = summary.warnings?.length || 0;
+  return count ? `; ${count} PDF${count === 1 ? '' : 's'} had characters replaced with ? (listed in export_summary.json)` : '';
+}
+
+// Reduce inline markdown and HTML to plain text for the PDF
+function stripInlineMarkdown(text) {
+  const readableUrl = (url) => {
+    try {
+      return decodeURI(url);
+    } catch (error) {
+      return url;
+    }
+  };
+  
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => `[Image: ${alt || readableUrl(src)}]`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+      url.startsWith('#') || label === url ? label : `${label} (${readableUrl(url)})`)
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/(^|[^*\w])\*([^*\n]+)\*/g, '$1$2')
+    .replace(/`([^`\n]+)`/g, '$1');
+}
+
+// Convert to a paginated PDF: a title page, then the same content as the markdown export
+// Every page after the title carries the conversation name; all pages are numbered
+// Text the standard fonts can't draw is set in the fonts from loadPdfFonts, passed as options.pdfFonts;
+// the title page notes how many characters no font could draw
+// Returns { content: ArrayBuffer, replacedCharacters }; needs the bundled jsPDF library (jspdf.umd.min.js)
+function buildPdf(data, includeMetadata, options = {}) {
+  const doc = new jspdf.jsPDF({ unit: 'pt', format: 'a4', compress: true });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 50;
+  const contentWidth = pageWidth - margin * 2;
+  const top = margin + 20;
+  const bottom = pageHeight - margin;
+  const title = data.name || 'Untitled Conversation';
+  
+  // Set the font for a piece of text and return it ready to draw: the standard font when it can draw all of it,
+  // otherwise the bundled one (added to the document on first use); characters neither has are counted
+  let replacedCharacters = 0;
+  const addedFonts = new Set();
+  const useFont = (text, family = 'sans', style = 'normal') => {
+    const needsUnicode = options.pdfFonts && [...String(text)].some(char => !/[\n\r\t]/.test(char) && !isWinAnsiCharacter(char));
+    let canDraw = isWinAnsiCharacter;
+    if (needsUnicode) {
+      const fontStyle = PDF_UNICODE_FONTS[family][style] ? style : 'normal';
+      const path = PDF_UNICODE_FONTS[family][fontStyle];
+      const name = `DejaVu-${family}`;
+      if (!addedFonts.has(`${name}/${fontStyle}`)) {
+        if (!addedFonts.has(path)) {
+          doc.addFileToVFS(path, options.pdfFonts.get(path));
+          addedFonts.add(path);
+        }
+        doc.addFont(path, name, fontStyle);
+        addedFonts.add(`${name}/${fontStyle}`);
+      }
+      doc.setFont(name, fontStyle);
+      const codeMap = doc.getFont().metadata.cmap.unicode.codeMap;
+      canDraw = char => codeMap[char.codePointAt(0)] !== undefined;
+    } else {
+      doc.setFont(family === 'mono' ? 'courier' : 'helvetica', style);
+    }
+    return toPdfText(text, canDraw, () => replacedCharacters++);
+  };
+  
+  // Title page
+  let y = pageHeight / 3;
+  doc.setFontSize(24);
+  doc.setTextColor(84, 54, 218);
+  doc.splitTextToSize(useFont(title, 'sans', 'bold'), contentWidth).forEach(line => {
+    doc.text(line, margin, y);
+    y += 30;
+  });
+  
+  const meta = [`Model: ${formatModelName(data.model || inferModel(data))}`];
+  if (includeMetadata) {
+    meta.push(`Created: ${new Date(data.created_at).toLocaleString()}`);
+    meta.push(`Updated: ${new Date(data.updated_at).toLocaleString()}`);
+    meta.push(`Messages: ${getCurrentBranch(data).length}`);
+    meta.push(`Estimated tokens: ${formatTokenEstimate(estimateBranchTokens(data))}`);
+    if (data.truncated) {
+      meta.push(`Truncated: ${describeTruncation(data)}`);
+    }
+    if (data.uuid) {
+      meta.push(`Conversation ID: ${data.uuid}`);
+    }
+  }
+  meta.push(`Exported: ${new Date().toLocaleString()}`);
+  
+  y += 10;
+  doc.setFontSize(12);
+  doc.setTextColor(90);
+  meta.forEach(line => {
+    doc.text(useFont(line), margin, y);
+    y += 18;
+  });
+  const titlePageEnd = y;
+  
+  doc.addPage();
+  y = top;
+  
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = top;
+    }
+  };
+  
+  const writeLines = (text, { style = 'normal', size = 11, color = 30, indent = 0 } = {}) => {
+    const lineHeight = size * 1.4;
+    doc.setFontSize(size);
+    doc.setTextColor(...[].concat(color));
+    doc.splitTextToSize(useFont(text, 'sans', style), contentWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, margin + indent, y + size);
+      y += lineHeight;
+    });
+  };
+  
+  // Code is set in a monospace font and wrapped to the page width, line by line
+  const writeCode = (code) => {
+    const lineHeight = 12;
+    doc.setFontSize(9);
+    doc.setTextColor(40);
+    doc.setFillColor(244, 244, 244);
+    y += 4;
+    code.split('\n').forEach(sourceLine => {
+      doc.splitTextToSize(useFont(sourceLine, 'mono') || ' ', contentWidth - 12).forEach(line => {
+        ensureSpace(lineHeight);
+        doc.rect(margin, y, contentWidth, lineHeight, 'F');
+        doc.text(line, margin + 6, y + 9);
+        y += lineHeight;
+      });
+    });
+    y += 8;
+  };
+  
+  const lines = renderMarkdownMessages(data, includeMetadata, options).split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    
+    const fence = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      writeCode(code.join('\n'));
+      continue;
+    }
+    
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    const summary = trimmed.match(/^<summary>(.*)<\/summary>$/);
+    const speaker = trimmed.match(/^\*\*(You|Claude)\*\*:$/);
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    
+    if (!trimmed) {
+      y += 4;
+    } else if (/^<\/?details>$/.test(trimmed)) {
+      continue;
+    } else if (trimmed === '---') {
+      ensureSpace(12);
+      doc.setDrawColor(220);
+      doc.line(margin, y + 6, pageWidth - margin, y + 6);
+      y += 12;
+    } else if (speaker) {
+      ensureSpace(40);
+      writeLines(speaker[1], { style: 'bold', size: 12, color: speaker[1] === 'You' ? 60 : [84, 54, 218] });
+    } else if (heading) {
+      y += 4;
+      writeLines(stripInlineMarkdown(heading[2]), { style: 'bold', size: Math.max(11, 18 - heading[1].length * 2) });
+    } else if (summary) {
+      writeLines(`> ${stripInlineMarkdown(summary[1])}`, { style: 'bold', size: 10, color: 100 });
+    } else if (/^\*[^*].*\*$/.test(trimmed)) {
+      writeLines(stripInlineMarkdown(trimmed), { style: 'italic', size: 9, color: 120 });
+    } else if (listItem) {
+      const bullet = /\d/.test(listItem[2]) ? listItem[2] : '•';
+      writeLines(`${bullet} ${stripInlineMarkdown(listItem[3])}`, { indent: 12 + listItem[1].length * 4 });
+    } else {
+      writeLines(stripInlineMarkdown(trimmed.replace(/^>\s?/, '')), trimmed.startsWith('>') ? { indent: 12, color: 90 } : {});
+    }
+  }
+  
+  // Page headers and numbers, once the page count is known
+  // The header repeats the title, so it is counted once, on the title page
+  const titleReplaced = replacedCharacters;
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(9);
+    doc.setTextColor(120);
+    if (page > 1) {
+      const headerLines = doc.splitTextToSize(useFont(title), contentWidth - 20);
+      doc.text(headerLines[0] + (headerLines.length > 1 ? '...' : ''), margin, margin);
+      doc.setDrawColor(200);
+      doc.line(margin, margin + 6, pageWidth - margin, margin + 6);
+    }
+    doc.text(useFont(`Page ${page} of ${pageCount}`), pageWidth / 2, pageHeight - margin / 2, { align: 'center' });
+  }
+  replacedCharacters = titleReplaced;
+  
+  if (replacedCharacters > 0) {
+    doc.setPage(1);
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(10);
+    doc.setTextColor(160, 60, 60);
+    doc.splitTextToSize(`Note: ${describePdfReplacements(replacedCharacters)}.`, contentWidth).forEach((line, index) => {
+      doc.text(line, margin, titlePageEnd + 10 + index * 14);
+    });
+  }
+  
+  return { content: doc.output('arraybuffer'), replacedCharacters };
+}
+
+// Convert to a paginated PDF with buildPdf; returns an ArrayBuffer
+function convertToPdf(data, includeMetadata, options = {}) {
+  return buildPdf(data, includeMetadata, options).content;
+}
+
+// Turn the current branch into API-style turns with Anthropic content blocks
+// Tool results move into a user turn of their own, as the Messages API expects
+// Options: stripTools - drop tool calls and results, mergeConsecutive - join adjacent turns with the same role
+function getApiTurns(data, options = {}) {
+  const turns = [];
+  let toolCount = 0;
+  let lastToolUseId = null;
+  
+  const pushTurn = (role, blocks) => {
+    if (blocks.length > 0) {
+      turns.push({ role, content: blocks });
+    }
+  };
+  
+  getCurrentBranch(data).forEach(message => {
+    const role = message.sender === 'human' ? 'user' : 'assistant';
+    let blocks = [];
+    
+    // Pasted documents were sent to the model along with the message
+    (message.attachments || []).forEach(attachment => {
+      if (attachment.extracted_content) {
+        blocks.push({ type: 'text', text: `<document name="${attachment.file_name || 'attachment'}">\n${attachment.extracted_content}\n</document>` });
+      }
+    });
+    
+    const contents = message.content || (message.text ? [{ type: 'text', text: message.text }] : []);
+    contents.forEach(content => {
+      if (content.type === 'tool_use') {
+        if (options.stripTools) return;
+        lastToolUseId = content.id || `toolu_${String(++toolCount).padStart(4, '0')}`;
+        blocks.push({ type: 'tool_use', id: lastToolUseId, name: content.name, input: content.input || {} });
+      } else if (content.type === 'tool_result') {
+        if (options.stripTools) return;
+        const parts = getToolResultParts(content);
+        const links = parts.links.map(link => `${link.title} <${link.url}>`).join('\n');
+        pushTurn(role, blocks);
+        blocks = [];
+        const result = { type: 'tool_result', tool_use_id: content.tool_use_id || lastToolUseId, content: [parts.text, links].filter(Boolean).join('\n') };
+        if (content.is_error) {
+          result.is_error = true;
+        }
+        pushTurn('user', [result]);
+      } else if (content.text && content.type !== 'thinking') {
+        blocks.push({ type: 'text', text: content.text });
+      }
+    });
+    
+    pushTurn(role, blocks);
+  });
+  
+  if (!options.mergeConsecutive) {
+    return turns;
+  }
+  
+  return turns.reduce((merged, turn) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === turn.role) {
+      previous.content.push(...turn.content);
+    } else {
+      merged.push({ role: turn.role, content: [...turn.content] });
+    }
+    return merged;
+  }, []);
+}
+
+// Convert the current branch to an Anthropic Messages API request body
+// The system slot is left empty: claude.ai's own system prompt is not part of the conversation data
+function convertToAnthropicMessages(data, options = {}) {
+  const messages = getApiTurns(data, options).map(turn => ({
+    role: turn.role,
+    // Plain text turns are written as strings, anything with tool blocks keeps its content array
+    content: turn.content.every(block => block.type === 'text')
+      ? turn.content.map(block => block.text).join('\n\n')
+      : turn.content
+  }));
+  
+  return {
+    model: data.model || inferModel(data),
+    system: options.systemPrompt || '',
+    messages
+  };
+}
+
+// Convert the current branch to OpenAI-style chat messages
+// Tool calls become assistant tool_calls and tool results become "tool" messages
+function convertToOpenAIMessages(data, options = {}) {
+  const messages = [];
+  if (options.systemPrompt) {
+    messages.push({ role: 'system', content: options.systemPrompt });
+  }
+  
+  getApiTurns(data, options).forEach(turn => {
+    const text = turn.content.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+    const toolCalls = turn.content.filter(block => block.type === 'tool_use');
+    const toolResults = turn.content.filter(block => block.type === 'tool_result');
+    
+    toolResults.forEach(result => {
+      messages.push({ role: 'tool', tool_call_id: result.tool_use_id, content: result.content });
+    });
+    
+    if (turn.role === 'assistant' && toolCalls.length > 0) {
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.input) }
+        }))
+      });
+    } else if (text) {
+      messages.push({ role: turn.role, content: text });
+    }
+  });
+  
+  return { messages };
+}
+
+// One compact JSON line per conversation, for dataset-ready JSONL files
+function convertToDatasetLine(data, format, options = {}) {
+  const record = format === 'openai' ? convertToOpenAIMessages(data, options) : convertToAnthropicMessages(data, options);
+  return JSON.stringify(record);
+}
+
+// File extensions and MIME types for each export format
+const EXPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown' },
+  text: { extension: 'txt', type: 'text/plain' },
+  html: { extension: 'html', type: 'text/html' },
+  pdf: { extension: 'pdf', type: 'application/pdf' },
+  anthropic: { extension: 'json', type: 'application/json' },
+  openai: { extension: 'jsonl', type: 'application/jsonl' }
+};
+
+// Formats that produce API messages, which bulk exports also collect into one dataset.jsonl
+const DATASET_FORMATS = ['anthropic', 'openai'];
+
+// Convert a conversation to the chosen export format
+function formatConversation(data, format, includeMetadata, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return convertToMarkdown(data, includeMetadata, options);
+    case 'text':
+      return convertToText(data, includeMetadata, options);
+    case 'html':
+      return convertToHtml(data, includeMetadata, options);
+    case 'pdf':
+      return convertToPdf(data, includeMetadata, options);
+    case 'anthropic':
+      return JSON.stringify(convertToAnthropicMessages(data, options), null, 2);
+    case 'openai':
+      return convertToDatasetLine(data, 'openai', options) + '\n';
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+// Build every file that belongs to one conversation export
+// The conversation itself comes first, followed by any extracted artifacts and attachments
+// Options: artifacts - write artifacts to their own files, allArtifactVersions - keep every version,
+// attachments - download uploaded files and images into the export,
+// truncateTokens - only export the newest turns of the current branch within this many estimated tokens,
+// jsonCopy - also add the conversation as JSON under data/, so exports in other formats can be imported again
+async function buildConversationFiles(data, format, includeMetadata, options, baseName) {
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  if (options.truncateTokens > 0) {
+    data = truncateToLastTokens(data, options.truncateTokens);
+  }
+  
+  // Artifacts and attachments sit next to the conversation file, in folders named after it,
+  // so the links inside it stay relative
+  const slash = baseName.lastIndexOf('/');
+  const folder = baseName.slice(0, slash + 1);
+  const folderName = baseName.slice(slash + 1);
+  const files = [];
+  let renderOptions = options;
+  
+  // Markdown follows the preset chosen in the options, unless the caller (a bulk export job) already picked one
+  if (format === 'markdown' && !options.markdown) {
+    renderOptions = { ...renderOptions, markdown: await getMarkdownSettings() };
+  }
+  
+  if (options.attachments) {
+    // Work on a copy so the export paths added to the JSON don't leak into the caller's data
+    data = JSON.parse(JSON.stringify(data));
+    const attachments = await fetchAttachments(collectAttachments(data, `attachments/${folderName}`));
+    renderOptions = { ...renderOptions, attachmentLinks: attachments.links };
+    files.push(...attachments.files);
+  }
+  
+  if (options.artifacts) {
+    const artifacts = extractArtifacts(data, { allVersions: options.allArtifactVersions, folder: `artifacts/${folderName}` });
+    renderOptions = { ...renderOptions, artifactLinks: artifacts.links };
+    files.unshift(...artifacts.files);
+  }
+  
+  files.forEach(file => {
+    file.path = folder + file.path;
+  });
+  // PDFs pick up the bundled Unicode fonts; a file whose text they still couldn't all draw carries a warning
+  const file = { path: `${baseName}.${exportFormat.extension}`, type: exportFormat.type };
+  if (format === 'pdf') {
+    const pdf = buildPdf(data, includeMetadata, { ...renderOptions, pdfFonts: await loadPdfFonts() });
+    file.content = pdf.content;
+    if (pdf.replacedCharacters > 0) {
+      file.warning = describePdfReplacements(pdf.replacedCharacters);
+    }
+  } else {
+    file.content = formatConversation(data, format, includeMetadata, renderOptions);
+  }
+  files.unshift(file);
+  if (options.jsonCopy && format !== 'json') {
+    files.push({ path: `data/${baseName}.json`, type: EXPORT_FORMATS.json.type, content: JSON.stringify(data, null, 2) });
+  }
+  
+  return files;
+}
+
+// Collect conversations into a bulk export ZIP, used by export jobs and the import page
+// Files are named with the file naming settings and put under folder; formats other than JSON also get a JSON copy of
+// every conversation under data/, which the import page reads. finish() adds index.html for HTML
+// and dataset.jsonl for API formats. With Markdown wiki links, finish() points the links between the added conversations
+// at their files, since a file's de-duplicated name is only known once it is added
+function createZipExport(zip, { format, includeMetadata, options, naming = DEFAULT_FILE_NAMING, folder = '' }) {
+  const dedupePath = createPathDeduplicator();
+  const indexEntries = [];
+  const datasetLines = [];
+  const warnings = [];
+  const wikiLinks = format === 'markdown' && options.markdown?.wikiLinks;
+  const markdownFiles = [];
+  const markdownPaths = new Map(); // Conversation uuid -> file path without the extension
+  
+  return {
+    // Conversations whose file came with a warning, as { uuid, name, warning }, for the export summary
+    warnings,
+    
+    // Add one conversation; entry is what index.html lists for it ({ name, model, created_at, updated_at })
+    async add(data, entry = data) {
+      const baseName = dedupePath(getExportBaseName(data, naming));
+      const files = await buildConversationFiles(data, format, includeMetadata, { ...options, jsonCopy: true }, baseName);
+      files.forEach(file => zip.file(folder + file.path, file.content));
+      indexEntries.push({ ...entry, path: files[0].path });
+      if (wikiLinks && data.uuid) {
+        markdownFiles.push(files[0]);
+        markdownPaths.set(data.uuid.toLowerCase(), folder + baseName);
+      }
+      if (files[0].warning) {
+        warnings.push({ uuid: data.uuid, name: data.name, warning: files[0].warning });
+      }
+      if (DATASET_FORMATS.includes(format)) {
+        // The conversation file holds the same record, already cut to the last N tokens when asked to
+        datasetLines.push(JSON.stringify(JSON.parse(files[0].content)));
+      }
+    },
+    
+    finish() {
+      markdownFiles.forEach(file => {
+        zip.file(folder + file.path, linkExportedConversations(file.content, markdownPaths));
+      });
+      // HTML exports get an index page linking to every conversation, next to them so the links stay relative
+      if (format === 'html') {
+        zip.file(`${folder}index.html`, buildHtmlIndex(indexEntries));
+      }
+      // API formats also get one dataset file with a line per conversation
+      if (DATASET_FORMATS.includes(format)) {
+        zip.file('dataset.jsonl', datasetLines.join('\n') + '\n');
+      }
+    }
+  };
+}
+
+// Download the files of a single conversation export
+// A lone file is downloaded as-is; a conversation with artifacts is bundled into a ZIP
+async function downloadConversationFiles(files, zipName) {
+  if (files.length === 1) {
+    downloadFile(files[0].content, files[0].path, files[0].type);
+    return;
+  }
+  
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.path, file.content));
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  downloadFile(blob, `${zipName}.zip`, 'application/zip');
+}
+
+// Longest name sanitizeFilename returns, in UTF-8 bytes; file systems allow 255,
+// which leaves room for a " (2)" suffix and an extension
+const FILE_NAME_MAX_BYTES = 200;
+
+// Make a name safe as a file or folder name on Windows, macOS and Linux
+// Reserved and control characters become _, leading and trailing dots and spaces are dropped,
+// device names like CON get a _ prefix, and long names are cut to maxBytes without splitting a character
+// Returns an empty string for names with nothing usable left
+function sanitizeFilename(name, maxBytes = FILE_NAME_MAX_BYTES) {
+  let safe = String(name ?? '')
+    .normalize('NFC')
+    .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[. ]+|[. ]+$/g, '');
+  
+  const encoder = new TextEncoder();
+  if (encoder.encode(safe).length > maxBytes) {
+    let bytes = 0;
+    let cut = '';
+    for (const char of safe) {
+      bytes += encoder.encode(char).length;
+      if (bytes > maxBytes) break;
+      cut += char;
+    }
+    safe = cut.replace(/[. ]+$/, '');
+  }
+  
+  if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(safe)) {
+    safe = `_${safe}`;
+  }
+  return safe;
+}
+
+// How exported conversation files are named and arranged, from the options page
+// The template's tokens are listed in FILE_NAME_TOKENS; layout is flat, year-month, model or project
+const DEFAULT_FILE_NAMING = {
+  template: '{date}_{name}_{uuid8}.{ext}',
+  layout: 'flat'
+};
+
+// Values for the file name template tokens ({ext} is handled by getExportBaseName's caller)
+const FILE_NAME_TOKENS = {
+  date: data => (data.created_at || '').slice(0, 10),
+  updated: data => (data.updated_at || '').slice(0, 10),
+  name: data => data.name || 'Untitled Conversation',
+  uuid: data => data.uuid || '',
+  uuid8: data => (data.uuid || '').slice(0, 8),
+  model: data => data.model || '',
+  project: data => getConversationProjectName(data)
+};
+
+// Load the file naming settings
+async function getFileNamingSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['fileNaming'], (result) => {
+      resolve({ ...DEFAULT_FILE_NAMING, ...result.fileNaming });
+    });
+  });
+}
+
+// The file naming settings and Markdown preset that bulk export jobs are created with
+// The offscreen document that runs jobs can't read chrome.storage, so background.js passes these to it
+async function getJobSettings() {
+  return { naming: await getFileNamingSettings(), markdown: await getMarkdownSettings() };
+}
+
+// Project name of a conversation, or a short id when only the project's uuid is known
+function getConversationProjectName(data) {
+  if (data.project?.name) return data.project.name;
+  return data.project_uuid ? `Project ${data.project_uuid.slice(0, 8)}` : '';
+}
+
+// Folder a conversation goes in for a folder layout, or '' for flat
+function getLayoutFolder(data, layout) {
+  switch (layout) {
+    case 'year-month':
+      return (data.created_at || '').slice(0, 7) || 'Unknown date';
+    case 'model':
+      return sanitizeFilename(formatModelName(data.model || 'Unknown model')) || 'Unknown model';
+    case 'project':
+      return sanitizeFilename(getConversationProjectName(data)) || 'No project';
+    default:
+      return '';
+  }
+}
+
+// Path of an exported conversation without its extension, e.g. "2024-05/2024-05-02_Recursion_1a2b3c4d"
+// Every export path names files through here; buildConversationFiles adds the extension
+// Single-file downloads pass { layout: false }, since a download can't create folders
+function getExportBaseName(data, naming = DEFAULT_FILE_NAMING, { layout = true } = {}) {
+  const template = (naming.template || DEFAULT_FILE_NAMING.template).replace(/\.?\{ext\}/g, '');
+  const name = template.replace(/\{(\w+)\}/g, (token, key) => {
+    return FILE_NAME_TOKENS[key] ? sanitizeFilename(FILE_NAME_TOKENS[key](data), 100) : token;
+  });
+  const baseName = sanitizeFilename(name) || sanitizeFilename(data.uuid) || 'conversation';
+  
+  const folder = layout ? getLayoutFolder(data, naming.layout) : '';
+  return folder ? `${folder}/${baseName}` : baseName;
+}
+
+// Keep paths unique within one ZIP: repeated names get " (2)", " (3)", ... before the extension
+// Compared case-insensitively, since Windows and macOS would merge names that differ only in case
+function createPathDeduplicator() {
+  const usedPaths = new Set();
+  return (path, extension = '') => {
+    let candidate = path;
+    for (let i = 2; usedPaths.has(`${candidate}${extension}`.toLowerCase()); i++) {
+      candidate = `${path} (${i})`;
+    }
+    usedPaths.add(`${candidate}${extension}`.toLowerCase());
+    return `${candidate}${extension}`;
+  };
+}
+
+// Clean up a Downloads subfolder for chrome.downloads, which only accepts relative paths
+// Drive letters, "..", invalid characters and leading or trailing dots and spaces are dropped
+function normalizeDownloadFolder(folder) {
+  return String(folder || '')
+    .split(/[\\/]+/)
+    .map(part => sanitizeFilename(part))
+    .filter(Boolean)
+    .join('/');
+}
+
+// File extensions for artifact types
+const ARTIFACT_EXTENSIONS = {
+  'text/html': 'html',
+  'image/svg+xml': 'svg',
+  'application/vnd.ant.mermaid': 'mmd',
+  'text/markdown': 'md',
+  'application/vnd.ant.react': 'jsx'
+};
+
+// File extensions for code artifacts, keyed by language
+const CODE_EXTENSIONS = {
+  python: 'py',
+  javascript: 'js',
+  typescript: 'ts',
+  jsx: 'jsx',
+  tsx: 'tsx',
+  java: 'java',
+  c: 'c',
+  cpp: 'cpp',
+  csharp: 'cs',
+  go: 'go',
+  rust: 'rs',
+  ruby: 'rb',
+  php: 'php',
+  swift: 'swift',
+  kotlin: 'kt',
+  scala: 'scala',
+  shell: 'sh',
+  bash: 'sh',
+  powershell: 'ps1',
+  sql: 'sql',
+  html: 'html',
+  css: 'css',
+  json: 'json',
+  yaml: 'yml',
+  xml: 'xml',
+  markdown: 'md',
+  r: 'r',
+  lua: 'lua',
+  dart: 'dart'
+};
+
+// Pick a file extension for an artifact from its type and language
+function getArtifactExtension(input) {
+  if (input.type === 'application/vnd.ant.code') {
+    const language = (input.language || '').toLowerCase();
+    return CODE_EXTENSIONS[language] || language.replace(/[^a-z0-9]/g, '') || 'txt';
+  }
+  return ARTIFACT_EXTENSIONS[input.type] || 'txt';
+}
+
+// Rebuild every artifact created in a conversation by replaying its create/update/rewrite commands
+// Returns the files to write and a map from each artifact tool call to the file it produced
+// Options: allVersions - write every version instead of only the latest, folder - directory for the files
+function extractArtifacts(data, { allVersions = false, folder = 'artifacts' } = {}) {
+  const artifacts = new Map();
+  const dedupeName = createPathDeduplicator();
+  
+  getCurrentBranch(data).forEach(message => {
+    (message.content || []).forEach(content => {
+      if (content.type !== 'tool_use' || !content.input) return;
+      
+      let id, title, extension, text;
+      if (content.name === 'artifacts') {
+        const input = content.input;
+        id = input.id;
+        const artifact = artifacts.get(id);
+        if (input.command === 'update' && artifact) {
+          const previous = artifact.versions[artifact.versions.length - 1].content;
+          // A function replacement keeps `$&`, `$$` and the like in code as written;
+          // an update whose old_str is empty or no longer there leaves the artifact as it was
+          text = input.old_str && previous.includes(input.old_str)
+            ? previous.replace(input.old_str, () => input.new_str ?? '')
+            : previous;
+        } else if (input.content !== undefined) {
+          text = input.content;
+        } else {
+          return;
+        }
+        title = input.title || (artifact && artifact.title) || id;
+        extension = artifact ? artifact.extension : getArtifactExtension(input);
+      } else if (content.name === 'create_file' && content.input.path) {
+        // Files written by Claude's file creation tool
+        id = content.input.path;
+        const fileName = content.input.path.split('/').pop();
+        const dot = fileName.lastIndexOf('.');
+        title = dot > 0 ? fileName.slice(0, dot) : fileName;
+        extension = dot > 0 ? fileName.slice(dot + 1) : 'txt';
+        text = content.input.file_text || '';
+      } else {
+        return;
+      }
+      
+      if (!artifacts.has(id)) {
+        // Give artifacts that share a title distinct file names
+        const name = dedupeName(sanitizeFilename(title) || 'artifact', `.${extension}`).slice(0, -extension.length - 1);
+        artifacts.set(id, { title, name, extension, versions: [] });
+      }
+      
+      const artifact = artifacts.get(id);
+      artifact.versions.push({ content: text, block: content });
+    });
+  });
+  
+  const files = [];
+  const links = new Map();
+  
+  artifacts.forEach(artifact => {
+    const latestPath = `${folder}/${artifact.name}.${artifact.extension}`;
+    artifact.versions.forEach((version, i) => {
+      const isLatest = i === artifact.versions.length - 1;
+      const path = allVersions && !isLatest
+        ? `${folder}/${artifact.name}.v${i + 1}.${artifact.extension}`
+        : latestPath;
+      if (allVersions || isLatest) {
+        files.push({ path, content: version.content, type: 'text/plain' });
+      }
+      links.set(version.block, { title: artifact.title, path: allVersions ? path : latestPath });
+    });
+  });
+  
+  return { files, links };
+}
+
+// Find every uploaded file, image and pasted document in a conversation
+// Each entry records the message it belongs to and the path it will be saved under
+function collectAttachments(data, folder = 'attachments') {
+  const entries = [];
+  const dedupePath = createPathDeduplicator();
+  
+  const uniquePath = (fileName) => {
+    const safeName = sanitizeFilename(fileName) || 'attachment';
+    const dot = safeName.lastIndexOf('.');
+    const stem = dot > 0 ? safeName.slice(0, dot) : safeName;
+    const extension = dot > 0 ? safeName.slice(dot) : '';
+    return dedupePath(`${folder}/${stem}`, extension);
+  };
+  
+  (data.chat_messages || []).forEach(message => {
+    // Pasted text and documents whose content was extracted inline
+    (message.attachments || []).forEach(attachment => {
+      if (!attachment.extracted_content) return;
+      const fileName = attachment.file_name || 'pasted.txt';
+      entries.push({
+        messageUuid: message.uuid,
+        item: attachment,
+        name: fileName,
+        path: uniquePath(/\.[^.]+$/.test(fileName) ? fileName : `${fileName}.txt`),
+        content: attachment.extracted_content,
+        isImage: false
+      });
+    });
+    
+    // Uploaded images and files stored by claude.ai
+    const seen = new Set();
+    [...(message.files || []), ...(message.files_v2 || [])].forEach(file => {
+      const url = (file.document_asset && file.document_asset.url) ||
+        (file.preview_asset && file.preview_asset.url) ||
+        file.preview_url || file.thumbnail_url;
+      if (!url || seen.has(file.file_uuid || url)) return;
+      seen.add(file.file_uuid || url);
+      entries.push({
+        messageUuid: message.uuid,
+        item: file,
+        name: file.file_name || file.file_uuid,
+        path: uniquePath(file.file_name || file.file_uuid),
+        url: new URL(url, 'https://claude.ai').href,
+        isImage: file.file_kind === 'image'
+      });
+    });
+  });
+  
+  return entries;
+}
+
+// Download the content of collected attachments
+// Returns the files to write and, per message, the attachments to reference from the export
+async function fetchAttachments(entries) {
+  const files = [];
+  const links = new Map();
+  
+  for (const entry of entries) {
+    let content = entry.content;
+    
+    if (content === undefined) {
+      try {
+        const response = await claudeFetch(entry.url, { accept: '*/*' });
+        content = await response.blob();
+      } catch (error) {
+        console.error(`Failed to download attachment ${entry.name}:`, error);
+        entry.item.export_error = error.message;
+      }
+    }
+    
+    if (!links.has(entry.messageUuid)) {
+      links.set(entry.messageUuid, []);
+    }
+    
+    if (content === undefined) {
+      links.get(entry.messageUuid).push({ name: entry.name, path: null, isImage: entry.isImage });
+      continue;
+    }
+    
+    entry.item.export_path = entry.path;
+    files.push({ path: entry.path, content, type: 'application/octet-stream' });
+    links.get(entry.messageUuid).push({ name: entry.name, path: entry.path, isImage: entry.isImage });
+  }
+  
+  return { files, links };
+}
+
+// Get the organization list saved by the last discovery
+async function getSavedOrganizations() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['organizations'], (result) => {
+      resolve(result.organizations || []);
+    });
+  });
+}
+
+// Discover the user's organizations, remember them, and pick one if none is chosen yet
+// Falls back to the saved list when claude.ai can't be reached
+async function discoverOrganizations() {
+  let organizations;
+  try {
+    organizations = await fetchOrganizations();
+  } catch (error) {
+    organizations = await getSavedOrganizations();
+    if (organizations.length === 0) {
+      throw error;
+    }
+    return organizations;
+  }
+  
+  await new Promise((resolve) => chrome.storage.local.set({ organizations }, resolve));
+  
+  const activeOrgId = await new Promise((resolve) => {
+    chrome.storage.sync.get(['organizationId'], (result) => resolve(result.organizationId));
+  });
+  if (!activeOrgId && organizations.length > 0) {
+    await setActiveOrganization(organizations[0].uuid);
+  }
+  return organizations;
+}
+
+// Switch the organization every export and the browse page use
+async function setActiveOrganization(orgId) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ organizationId: orgId }, resolve);
+  });
+}
+
+// Fill a <select> with organizations, selecting the active one
+function populateOrganizationSelect(select, organizations, activeOrgId) {
+  select.innerHTML = '';
+  organizations.forEach(org => {
+    const option = document.createElement('option');
+    option.value = org.uuid;
+    option.textContent = org.name;
+    select.appendChild(option);
+  });
+  
+  // Keep a manually configured organization selectable even if discovery didn't return it
+  if (activeOrgId && !organizations.some(org => org.uuid === activeOrgId)) {
+    const option = document.createElement('option');
+    option.value = activeOrgId;
+    option.textContent = activeOrgId;
+    select.appendChild(option);
+  }
+  select.value = activeOrgId || '';
+}
+
+// Storage key of a sync manifest
+// Scheduled backups keep their own manifest, so manual exports don't change what the next backup contains
+function getSyncManifestKey(orgId, scope = 'sync') {
+  return scope === 'backup' ? `backupManifest:${orgId}` : `syncManifest:${orgId}`;
+}
+
+// Load the sync manifest for an organization: the updated_at of every conversation last exported
+async function loadSyncManifest(orgId, scope = 'sync') {
+  const key = getSyncManifestKey(orgId, scope);
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], (result) => {
+      resolve(result[key] || { organization_id: orgId, last_sync: null, conversations: {} });
+    });
+  });
+}
+
+// Save the sync manifest for an organization
+async function saveSyncManifest(orgId, manifest, scope = 'sync') {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [getSyncManifestKey(orgId, scope)]: manifest }, resolve);
+  });
+}
+
+// Compare the conversation list with the manifest
+// Returns the conversations that are new or updated since they were last exported,
+// and the manifest entries whose conversations no longer exist
+function diffSyncManifest(conversations, manifest) {
+  const changed = conversations.filter(conv => {
+    const entry = manifest.conversations[conv.uuid];
+    return !entry || new Date(conv.updated_at) > new Date(entry.updated_at);
+  });
+  
+  const currentIds = new Set(conversations.map(conv => conv.uuid));
+  const deleted = Object.keys(manifest.conversations)
+    .filter(uuid => !currentIds.has(uuid))
+    .map(uuid => ({ uuid, ...manifest.conversations[uuid] }));
+  
+  return { changed, deleted };
+}
+
+// Record exported conversations in the manifest and forget deleted ones
+// Conversations without an updated_at (retried from an older summary) are left out,
+// since an entry without one would never count as changed again
+function updateSyncManifest(manifest, exportedConversations, deletedConversations = []) {
+  const conversations = { ...manifest.conversations };
+  exportedConversations.forEach(conv => {
+    if (conv.updated_at) {
+      conversations[conv.uuid] = { updated_at: conv.updated_at, name: conv.name };
+    }
+  });
+  deletedConversations.forEach(conv => {
+    delete conversations[conv.uuid];
+  });
+  
+  return {
+    organization_id: manifest.organization_id,
+    last_sync: new Date().toISOString(),
+    conversations
+  };
+}
+
+// Scheduled backup settings, as saved on the options page
+const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  frequency: 'daily', // daily or weekly
+  format: 'json',
+  includeMetadata: true,
+  model: '', // Only conversations with this model; empty for all
+  starredOnly: false,
+  keep: 7, // Number of backup files to keep
+  options: {
+    allBranches: false,
+    toolUse: true,
+    toolResults: true,
+    citations: true,
+    thinking: true,
+    artifacts: true,
+    allArtifactVersions: false,
+    attachments: false,
+    mergeConsecutive: true,
+    stripTools: false
+  }
+};
+
+// Load the scheduled backup settings
+async function getBackupSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['backupSettings'], (result) => {
+      resolve({ ...DEFAULT_BACKUP_SETTINGS, ...result.backupSettings });
+    });
+  });
+}
+
 // Download file utility
 function downloadFile(content, filename, type = 'application/json') {
   const blob = new Blob([content], { type });